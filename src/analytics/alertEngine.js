@@ -0,0 +1,507 @@
+/**
+ * Alert Engine
+ * Evaluates persisted alert rules on a schedule and delivers firings to webhooks with retries
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const ChainRegistry = require('../utils/chains');
+const AlertRule = require('../models/alertRule');
+const AlertEvent = require('../models/alertEvent');
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+const WEBHOOK_TIMEOUT = 10000;
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30000;
+
+// Webhook connections refuse hosts that resolve to a private address, so a rule cannot reach internal services
+const webhookAgents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+class AlertEngine {
+    /**
+     * @param {Object} services - { priceOracle, getChainServices(chain) }
+     * @param {Object} [options] - { intervalSeconds, webhookSecret }
+     */
+    constructor({ priceOracle, getChainServices }, options = {}) {
+        this.priceOracle = priceOracle;
+        this.getChainServices = getChainServices;
+        this.intervalSeconds = options.intervalSeconds ||
+            parseInt(process.env.ALERT_INTERVAL_SECONDS, 10) ||
+            DEFAULT_INTERVAL_SECONDS;
+        // When set, webhooks carry an HMAC-SHA256 of the body in x-alert-signature
+        this.webhookSecret = options.webhookSecret || process.env.ALERT_WEBHOOK_SECRET || null;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.tick(), this.intervalSeconds * 1000);
+        this.tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * One scheduler pass: evaluate every enabled rule, then retry due deliveries.
+     * A pass is skipped while the previous one is still going.
+     */
+    async tick() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+
+        try {
+            const rules = await AlertRule.find({ enabled: true });
+            for (const rule of rules) {
+                await this.evaluateRule(rule);
+            }
+            await this.deliverPending();
+        } catch (error) {
+            console.error('Error running alert evaluation:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Error message for an invalid rule definition, or null when it is valid
+     */
+    validateRule({ type, params, webhookUrl, cooldownMinutes } = {}) {
+        if (!AlertRule.TYPES.includes(type)) {
+            return `type must be one of ${AlertRule.TYPES.join(', ')}`;
+        }
+        if (!params || typeof params !== 'object') {
+            return 'params is required';
+        }
+        if (!isWebhookUrl(webhookUrl)) {
+            return 'webhookUrl must be an http(s) URL';
+        }
+        if (isPrivateHost(new URL(webhookUrl).hostname)) {
+            return 'webhookUrl must not point to a private, loopback or link-local host';
+        }
+        if (cooldownMinutes !== undefined && !(Number(cooldownMinutes) >= 0)) {
+            return 'cooldownMinutes must be a non-negative number';
+        }
+
+        switch (type) {
+            case 'price':
+                if (!isSymbol(params.symbol)) {
+                    return 'params.symbol is required';
+                }
+                if (!['above', 'below'].includes(params.direction)) {
+                    return 'params.direction must be above or below';
+                }
+                if (!(Number(params.threshold) > 0)) {
+                    return 'params.threshold must be a positive number';
+                }
+                return null;
+
+            case 'price_change':
+                if (!isSymbol(params.symbol)) {
+                    return 'params.symbol is required';
+                }
+                if (!(Number(params.thresholdPercent) > 0)) {
+                    return 'params.thresholdPercent must be a positive number';
+                }
+                return null;
+
+            case 'position_out_of_range':
+            case 'health_factor': {
+                if (!ethers.utils.isAddress(params.address)) {
+                    return 'params.address must be a valid address';
+                }
+                const chain = ChainRegistry.getChain(params.chain || 'ethereum');
+                if (!chain) {
+                    return `Unsupported chain: ${params.chain}`;
+                }
+                if (type === 'health_factor' && !(Number(params.threshold) > 0)) {
+                    return 'params.threshold must be a positive number';
+                }
+                if (type === 'position_out_of_range' && params.tokenId !== undefined &&
+                    !/^\d+$/.test(String(params.tokenId))) {
+                    return 'params.tokenId must be a position NFT id';
+                }
+                return null;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Store a validated rule with its params normalized; resolves to the redacted rule
+     */
+    async createRule({ type, params, webhookUrl, cooldownMinutes }) {
+        const normalized = {};
+        if (params.symbol !== undefined) {
+            normalized.symbol = String(params.symbol).toUpperCase();
+        }
+        if (params.direction !== undefined) {
+            normalized.direction = params.direction;
+        }
+        if (params.threshold !== undefined) {
+            normalized.threshold = Number(params.threshold);
+        }
+        if (params.thresholdPercent !== undefined) {
+            normalized.thresholdPercent = Number(params.thresholdPercent);
+        }
+        if (params.address !== undefined) {
+            normalized.address = ethers.utils.getAddress(params.address);
+            normalized.chain = ChainRegistry.getChain(params.chain || 'ethereum').key;
+        }
+        if (params.tokenId !== undefined) {
+            normalized.tokenId = String(params.tokenId);
+        }
+
+        const rule = await AlertRule.create({
+            type,
+            params: normalized,
+            webhookUrl,
+            cooldownMinutes: cooldownMinutes !== undefined ? Number(cooldownMinutes) : undefined
+        });
+        return redactRule(rule.toObject());
+    }
+
+    /**
+     * Redacted rules, newest first; filter by `type` or by the watched `address`
+     */
+    async listRules({ type, address } = {}) {
+        const query = {};
+        if (type) {
+            query.type = type;
+        }
+        if (address) {
+            query['params.address'] = ethers.utils.getAddress(address);
+        }
+        const rules = await AlertRule.find(query).sort({ createdAt: -1 }).lean();
+        return rules.map(redactRule);
+    }
+
+    /**
+     * A redacted rule with its most recent firings, or null if there is no such rule
+     */
+    async getRule(id, { events = 20 } = {}) {
+        if (!mongoose.isValidObjectId(id)) {
+            return null;
+        }
+        const rule = await AlertRule.findById(id).lean();
+        if (!rule) {
+            return null;
+        }
+        rule.events = await AlertEvent.find({ rule: rule._id }).sort({ firedAt: -1 }).limit(events).lean();
+        return redactRule(rule);
+    }
+
+    /**
+     * Delete a rule and its events. Resolves to whether the rule existed.
+     */
+    async deleteRule(id) {
+        if (!mongoose.isValidObjectId(id)) {
+            return false;
+        }
+        const result = await AlertRule.deleteOne({ _id: id });
+        if (result.deletedCount === 0) {
+            return false;
+        }
+        await AlertEvent.deleteMany({ rule: id });
+        return true;
+    }
+
+    /**
+     * Check one rule and fire it when its condition starts holding (or what it holds for
+     * changes), unless it fired within its cooldown. Errors are recorded on the rule.
+     */
+    async evaluateRule(rule) {
+        const now = new Date();
+        let result;
+        try {
+            result = await this.checkCondition(rule);
+        } catch (error) {
+            rule.state.lastError = error.message;
+            rule.state.lastCheckedAt = now;
+            await rule.save();
+            return null;
+        }
+
+        const { state } = rule;
+        const isNew = result.triggered && (!state.triggered || state.triggerKey !== result.key);
+        const cooledDown = !state.lastFiredAt ||
+            now - state.lastFiredAt >= rule.cooldownMinutes * 60 * 1000;
+
+        let event = null;
+        if (isNew && cooledDown) {
+            event = await AlertEvent.create({
+                rule: rule._id,
+                firedAt: now,
+                message: result.message,
+                value: result.value,
+                details: result.details
+            });
+            state.lastFiredAt = now;
+            state.fireCount++;
+        }
+
+        // Inside the cooldown the new trigger is not recorded, so it fires once the cooldown ends
+        if (!isNew || cooledDown) {
+            state.triggered = result.triggered;
+            state.triggerKey = result.triggered ? result.key : undefined;
+        }
+        state.lastValue = result.value;
+        state.lastCheckedAt = now;
+        state.lastError = undefined;
+        await rule.save();
+
+        if (event) {
+            await this.deliver(event, rule);
+        }
+        return event;
+    }
+
+    /**
+     * Evaluate a rule's condition: { triggered, key, value, message, details }
+     */
+    async checkCondition(rule) {
+        const { params } = rule;
+
+        switch (rule.type) {
+            case 'price': {
+                const { usd } = await this.priceOracle.getPrice(params.symbol);
+                const triggered = params.direction === 'above' ? usd > params.threshold : usd < params.threshold;
+                return {
+                    triggered,
+                    key: params.direction,
+                    value: usd,
+                    message: `${params.symbol} is ${params.direction} $${params.threshold} at $${usd}`,
+                    details: { symbol: params.symbol, threshold: params.threshold, direction: params.direction }
+                };
+            }
+
+            case 'price_change': {
+                const { change24h } = await this.priceOracle.getPrice(params.symbol);
+                if (typeof change24h !== 'number') {
+                    throw new Error(`No 24h change available for ${params.symbol}`);
+                }
+                const triggered = Math.abs(change24h) >= params.thresholdPercent;
+                return {
+                    triggered,
+                    // A swing from up to down is a new event
+                    key: change24h >= 0 ? 'up' : 'down',
+                    value: change24h,
+                    message: `${params.symbol} moved ${change24h.toFixed(2)}% in 24h`,
+                    details: { symbol: params.symbol, thresholdPercent: params.thresholdPercent }
+                };
+            }
+
+            case 'position_out_of_range': {
+                const { uniswapAnalytics } = this.getServices(params.chain);
+                const positions = (await uniswapAnalytics.getPositions(params.address))
+                    .filter(position => position.liquidity !== '0')
+                    .filter(position => params.tokenId === undefined || position.tokenId === params.tokenId);
+                const outOfRange = positions.filter(position => !position.inRange);
+
+                return {
+                    triggered: outOfRange.length > 0,
+                    key: outOfRange.map(position => position.tokenId).sort().join(','),
+                    value: outOfRange.length,
+                    message: `${outOfRange.length} Uniswap V3 position(s) of ${params.address} out of range`,
+                    details: {
+                        positions: outOfRange.map(position => ({
+                            tokenId: position.tokenId,
+                            pool: position.pool,
+                            pair: `${position.token0.symbol}/${position.token1.symbol}`,
+                            priceLower: position.priceLower,
+                            priceUpper: position.priceUpper,
+                            currentPrice: position.currentPrice
+                        }))
+                    }
+                };
+            }
+
+            case 'health_factor': {
+                const { portfolioAnalytics } = this.getServices(params.chain);
+                const { healthFactor, totalDebt } = await portfolioAnalytics.calculateRiskMetrics(params.address);
+                return {
+                    triggered: totalDebt > 0 && healthFactor < params.threshold,
+                    key: 'below',
+                    // Infinity (no debt) does not survive JSON
+                    value: Number.isFinite(healthFactor) ? healthFactor : null,
+                    message: `Health factor of ${params.address} is ${healthFactor.toFixed(3)}, below ${params.threshold}`,
+                    details: { threshold: params.threshold, totalDebt }
+                };
+            }
+
+            default:
+                throw new Error(`Unknown alert type: ${rule.type}`);
+        }
+    }
+
+    getServices(chainKey) {
+        const chain = ChainRegistry.getChain(chainKey);
+        if (ChainRegistry.getRpcUrls(chain).length === 0) {
+            throw new Error(`No RPC URL configured for ${chain.name}`);
+        }
+        return this.getChainServices(chain);
+    }
+
+    /**
+     * Retry every pending delivery whose backoff has elapsed
+     */
+    async deliverPending() {
+        const due = await AlertEvent.find({
+            'delivery.status': 'pending',
+            'delivery.nextAttemptAt': { $lte: new Date() }
+        }).sort({ firedAt: 1 });
+
+        for (const event of due) {
+            const rule = await AlertRule.findById(event.rule);
+            if (!rule) {
+                event.delivery.status = 'failed';
+                event.delivery.lastError = 'Alert rule was deleted';
+                await event.save();
+                continue;
+            }
+            await this.deliver(event, rule);
+        }
+    }
+
+    /**
+     * POST an event to its rule's webhook. Failures back off exponentially and the
+     * event is marked failed after MAX_DELIVERY_ATTEMPTS.
+     */
+    async deliver(event, rule) {
+        const body = JSON.stringify({
+            alert: { id: rule._id.toString(), type: rule.type, params: rule.params },
+            event: {
+                id: event._id.toString(),
+                firedAt: event.firedAt,
+                message: event.message,
+                value: event.value,
+                details: event.details
+            }
+        });
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.webhookSecret) {
+            headers['x-alert-signature'] = crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex');
+        }
+
+        const { delivery } = event;
+        delivery.attempts++;
+        try {
+            // Rules stored before private hosts were rejected; redirects could lead anywhere
+            if (isPrivateHost(new URL(rule.webhookUrl).hostname)) {
+                throw new Error('Webhook host is private');
+            }
+            await axios.post(rule.webhookUrl, body, {
+                headers,
+                timeout: WEBHOOK_TIMEOUT,
+                maxRedirects: 0,
+                ...webhookAgents
+            });
+            delivery.status = 'delivered';
+            delivery.deliveredAt = new Date();
+            delivery.lastError = undefined;
+        } catch (error) {
+            delivery.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+            if (delivery.attempts >= MAX_DELIVERY_ATTEMPTS) {
+                delivery.status = 'failed';
+                console.error(`Alert ${rule._id} webhook failed after ${delivery.attempts} attempts:`, delivery.lastError);
+            } else {
+                delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * Math.pow(2, delivery.attempts - 1));
+            }
+        }
+        await event.save();
+        return delivery.status === 'delivered';
+    }
+}
+
+function isWebhookUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Loopback names and literal addresses that are private, loopback, link-local or unspecified
+ */
+function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+        return true;
+    }
+    return net.isIP(host) !== 0 && isPrivateAddress(host);
+}
+
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 ||
+            (a === 100 && b >= 64 && b < 128) ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b < 32) ||
+            (a === 192 && b === 168);
+    }
+    const ipv6 = address.toLowerCase();
+    const mapped = ipv6.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+        return isPrivateAddress(mapped[1]);
+    }
+    // Unspecified, loopback, IPv4-mapped in hex form, unique local (fc00::/7) and link-local (fe80::/10)
+    return ipv6 === '::' || ipv6 === '::1' || ipv6.startsWith('::ffff:') ||
+        /^f[cd]/.test(ipv6) || /^fe[89ab]/.test(ipv6);
+}
+
+/**
+ * dns.lookup that fails for hostnames resolving to a private address
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (addresses.some(isPrivateAddress)) {
+            return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+/**
+ * A rule as returned by the API: the webhook reduced to its origin, since its path often carries a token
+ */
+function redactRule(rule) {
+    let webhookUrl;
+    try {
+        const parsed = new URL(rule.webhookUrl);
+        webhookUrl = parsed.pathname.length > 1 || parsed.search ? `${parsed.origin}/***` : parsed.origin;
+    } catch (error) {
+        webhookUrl = 'invalid url';
+    }
+    return { ...rule, webhookUrl };
+}
+
+function isSymbol(value) {
+    return typeof value === 'string' && /^[A-Za-z0-9.]{1,20}$/.test(value);
+}
+
+module.exports = AlertEngine;
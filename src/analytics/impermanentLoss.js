@@ -0,0 +1,424 @@
+/**
+ * Impermanent Loss Analytics
+ * Compares Uniswap V3 positions and V2 LP shares against simply holding the tokens
+ * deposited: impermanent loss, fees earned and net PnL since entry, a USD history
+ * built from CoinGecko prices, and what-if price scenarios
+ */
+
+const { ethers } = require('ethers');
+
+const Q96 = 2 ** 96;
+const Q128 = ethers.BigNumber.from(2).pow(128);
+const UINT256 = ethers.BigNumber.from(2).pow(256);
+const MAX_SERIES_POINTS = 200;
+const DEFAULT_SCENARIOS = [-50, -25, -10, 10, 25, 50, 100];
+// Code of errors caused by the requested position or block rather than a failed read
+const INVALID_POSITION = 'INVALID_POSITION';
+
+class ImpermanentLossAnalytics {
+    /**
+     * @param {ethers.providers.Provider} provider
+     * @param {PriceOracle} priceOracle
+     * @param {UniswapAnalytics} uniswapAnalytics - the same chain's, so pools and tokens share its caches
+     */
+    constructor(provider, priceOracle, uniswapAnalytics) {
+        this.provider = provider;
+        this.priceOracle = priceOracle;
+        this.uniswap = uniswapAnalytics;
+        this.contractUtils = this.uniswap.contractUtils;
+    }
+
+    /**
+     * Analyze a V3 position since `entryBlock`, either an existing NFT (`tokenId`) or a
+     * hypothetical one (`pool`, `tickLower`, `tickUpper`, `liquidity`). `liquidity`
+     * overrides the NFT's, e.g. for a position that has since been closed.
+     * Fees are what the range earned between the two blocks, from the pool's fee growth;
+     * both ticks must be initialized at each block for that to be known.
+     */
+    async analyzeV3Position({ tokenId, pool, tickLower, tickUpper, liquidity, entryBlock, scenarios }) {
+        const position = tokenId !== undefined
+            ? await this.getV3Position(tokenId)
+            : { pool: ethers.utils.getAddress(pool), tickLower, tickUpper, liquidity: null };
+        const positionLiquidity = ethers.BigNumber.from(liquidity !== undefined ? liquidity : position.liquidity);
+        if (positionLiquidity.isZero()) {
+            throw invalidPosition('Position has no liquidity; pass the liquidity it held');
+        }
+
+        const latestBlock = await this.provider.getBlockNumber();
+        if (entryBlock >= latestBlock) {
+            throw invalidPosition(`entryBlock must be before the latest block (${latestBlock})`);
+        }
+
+        const [entryState, currentState] = await Promise.all([
+            this.getV3PoolState(position.pool, position.tickLower, position.tickUpper, entryBlock),
+            this.getV3PoolState(position.pool, position.tickLower, position.tickUpper, latestBlock)
+        ]);
+        const [token0, token1] = await Promise.all([
+            this.uniswap.getToken(currentState.token0),
+            this.uniswap.getToken(currentState.token1)
+        ]);
+
+        const L = parseFloat(positionLiquidity.toString());
+        const sqrtLower = Math.sqrt(Math.pow(1.0001, position.tickLower));
+        const sqrtUpper = Math.sqrt(Math.pow(1.0001, position.tickUpper));
+        const decimalsShift = Math.pow(10, token1.decimals - token0.decimals);
+
+        // Token amounts of the position at a price of token0 in token1 (token units)
+        const amountsAt = price => {
+            const raw = getV3Amounts(L, Math.sqrt(price * decimalsShift), sqrtLower, sqrtUpper);
+            return {
+                amount0: raw.amount0 / Math.pow(10, token0.decimals),
+                amount1: raw.amount1 / Math.pow(10, token1.decimals)
+            };
+        };
+
+        const fees = {
+            amount0: formatFees(positionLiquidity, entryState.feeGrowthInside0, currentState.feeGrowthInside0, token0.decimals),
+            amount1: formatFees(positionLiquidity, entryState.feeGrowthInside1, currentState.feeGrowthInside1, token1.decimals)
+        };
+
+        const analysis = await this.compare({
+            token0,
+            token1,
+            entry: { block: entryBlock, price: entryState.price },
+            current: { block: latestBlock, price: currentState.price },
+            amountsAt,
+            fees,
+            scenarios
+        });
+
+        return {
+            type: 'v3',
+            tokenId: tokenId !== undefined ? String(tokenId) : null,
+            pool: position.pool,
+            fee: currentState.fee,
+            tickLower: position.tickLower,
+            tickUpper: position.tickUpper,
+            liquidity: positionLiquidity.toString(),
+            priceLower: Math.pow(1.0001, position.tickLower) / decimalsShift,
+            priceUpper: Math.pow(1.0001, position.tickUpper) / decimalsShift,
+            inRange: currentState.tick >= position.tickLower && currentState.tick < position.tickUpper,
+            ...analysis
+        };
+    }
+
+    /**
+     * Analyze `lpAmount` LP tokens of a V2 pair held since `entryBlock`. Fees are the growth
+     * of the share beyond what the constant product alone would give at the current price.
+     */
+    async analyzeV2Position({ tokenA, tokenB, lpAmount = 1, entryBlock, scenarios }) {
+        const latestBlock = await this.provider.getBlockNumber();
+        if (entryBlock >= latestBlock) {
+            throw invalidPosition(`entryBlock must be before the latest block (${latestBlock})`);
+        }
+
+        const [then, now] = await Promise.all([
+            this.uniswap.getPairInfo(tokenA, tokenB, entryBlock),
+            this.uniswap.getPairInfo(tokenA, tokenB, latestBlock)
+        ]);
+        const entryShare = this.uniswap.calculateLPShare(then, lpAmount);
+        const currentShare = this.uniswap.calculateLPShare(now, lpAmount);
+
+        // Without fees the share keeps its entry invariant k = amount0 * amount1
+        const k = entryShare.amount0 * entryShare.amount1;
+        const amountsAt = price => ({
+            amount0: Math.sqrt(k / price),
+            amount1: Math.sqrt(k * price)
+        });
+        const withoutFees = amountsAt(now.price);
+
+        const [token0, token1] = await Promise.all([
+            this.uniswap.getToken(now.token0.address),
+            this.uniswap.getToken(now.token1.address)
+        ]);
+
+        const analysis = await this.compare({
+            token0,
+            token1,
+            entry: { block: entryBlock, price: then.price },
+            current: { block: latestBlock, price: now.price },
+            amountsAt,
+            fees: {
+                amount0: Math.max(currentShare.amount0 - withoutFees.amount0, 0),
+                amount1: Math.max(currentShare.amount1 - withoutFees.amount1, 0)
+            },
+            scenarios
+        });
+
+        return {
+            type: 'v2',
+            pair: now.address,
+            lpAmount: lpAmount.toString(),
+            share: currentShare.share,
+            ...analysis
+        };
+    }
+
+    /**
+     * Value the LP position against holding its entry amounts: now, over time and
+     * under what-if prices. `amountsAt(price)` gives the position's token amounts
+     * (fees excluded) at a price of token0 in token1. Tokens are priced by contract
+     * address, so pool tokens without a known symbol still price.
+     */
+    async compare({ token0, token1, entry, current, amountsAt, fees, scenarios = DEFAULT_SCENARIOS }) {
+        const [entryTimestamp, currentTimestamp, usd0, usd1] = await Promise.all([
+            this.contractUtils.getBlockTimestamp(entry.block),
+            this.contractUtils.getBlockTimestamp(current.block),
+            this.priceOracle.getTokenPriceByAddress(this.uniswap.chainId, token0.address),
+            this.priceOracle.getTokenPriceByAddress(this.uniswap.chainId, token1.address)
+        ]);
+
+        const entryAmounts = amountsAt(entry.price);
+        const currentAmounts = amountsAt(current.price);
+        const value = (amounts, price0, price1) => amounts.amount0 * price0 + amounts.amount1 * price1;
+
+        const lpValue = value(currentAmounts, usd0, usd1);
+        const feesValue = value(fees, usd0, usd1);
+        const hodlValue = value(entryAmounts, usd0, usd1);
+        const impermanentLoss = lpValue - hodlValue;
+        const netVsHodl = lpValue + feesValue - hodlValue;
+
+        const history = await this.getHistory(token0, token1, {
+            entryTimestamp,
+            currentTimestamp,
+            entryAmounts,
+            amountsAt,
+            fees
+        });
+
+        return {
+            token0: { address: token0.address, symbol: token0.symbol, decimals: token0.decimals },
+            token1: { address: token1.address, symbol: token1.symbol, decimals: token1.decimals },
+            entry: {
+                block: entry.block,
+                timestamp: entryTimestamp,
+                // Price of token0 in token1
+                price: entry.price,
+                ...entryAmounts,
+                valueUsd: history.entryValueUsd
+            },
+            current: {
+                block: current.block,
+                timestamp: currentTimestamp,
+                price: current.price,
+                ...currentAmounts,
+                valueUsd: lpValue,
+                prices: { [token0.symbol]: usd0, [token1.symbol]: usd1 }
+            },
+            feesEarned: { ...fees, valueUsd: feesValue },
+            hodlValueUsd: hodlValue,
+            impermanentLoss: {
+                usd: impermanentLoss,
+                percent: hodlValue > 0 ? impermanentLoss / hodlValue * 100 : 0
+            },
+            netPnl: {
+                vsHodlUsd: netVsHodl,
+                vsHodlPercent: hodlValue > 0 ? netVsHodl / hodlValue * 100 : 0,
+                vsEntryUsd: history.entryValueUsd !== null ? lpValue + feesValue - history.entryValueUsd : null
+            },
+            history: history.series,
+            scenarios: scenarios.map(change => {
+                // token0 moves by `change` percent in USD; token1 holds its price
+                const price0 = usd0 * (1 + change / 100);
+                const lp = value(amountsAt(current.price * (1 + change / 100)), price0, usd1);
+                const hodl = value(entryAmounts, price0, usd1);
+                return {
+                    priceChangePercent: change,
+                    price: current.price * (1 + change / 100),
+                    lpValueUsd: lp,
+                    hodlValueUsd: hodl,
+                    impermanentLossPercent: hodl > 0 ? (lp / hodl - 1) * 100 : 0,
+                    // Fees earned so far are kept; no further fees are assumed
+                    netVsHodlUsd: lp + feesValue - hodl
+                };
+            })
+        };
+    }
+
+    /**
+     * LP vs. HODL in USD from the entry to now, at CoinGecko's historical prices. The pool
+     * price at each point is implied from the two USD prices. Only the total fees are known,
+     * so each point credits them pro rata to the time elapsed since entry.
+     */
+    async getHistory(token0, token1, { entryTimestamp, currentTimestamp, entryAmounts, amountsAt, fees }) {
+        const days = Math.max(1, Math.ceil((Date.now() / 1000 - entryTimestamp) / 86400));
+
+        let prices0;
+        let prices1;
+        try {
+            [prices0, prices1] = await Promise.all([
+                this.priceOracle.getHistoricalPricesByAddress(this.uniswap.chainId, token0.address, days),
+                this.priceOracle.getHistoricalPricesByAddress(this.uniswap.chainId, token1.address, days)
+            ]);
+        } catch (error) {
+            console.log('Error fetching historical prices:', error.message);
+            return { entryValueUsd: null, series: [] };
+        }
+
+        const points = prices0
+            .filter(point => point.timestamp.getTime() / 1000 >= entryTimestamp - 86400)
+            .map(point => ({ timestamp: point.timestamp, usd0: point.price, usd1: nearestPrice(prices1, point.timestamp) }))
+            .filter(point => point.usd1 !== null && point.usd1 > 0);
+
+        if (points.length === 0) {
+            return { entryValueUsd: null, series: [] };
+        }
+
+        const entryPoint = points.reduce((best, point) =>
+            Math.abs(point.timestamp / 1000 - entryTimestamp) < Math.abs(best.timestamp / 1000 - entryTimestamp)
+                ? point
+                : best);
+        const entryValueUsd = entryAmounts.amount0 * entryPoint.usd0 + entryAmounts.amount1 * entryPoint.usd1;
+
+        const span = currentTimestamp - entryTimestamp;
+        const series = downsample(points, MAX_SERIES_POINTS).map(point => {
+            const amounts = amountsAt(point.usd0 / point.usd1);
+            const lpValueUsd = amounts.amount0 * point.usd0 + amounts.amount1 * point.usd1;
+            const hodlValueUsd = entryAmounts.amount0 * point.usd0 + entryAmounts.amount1 * point.usd1;
+            const elapsed = Math.min(Math.max(point.timestamp.getTime() / 1000 - entryTimestamp, 0), span);
+            const share = span > 0 ? elapsed / span : 1;
+            const feesUsd = (fees.amount0 * point.usd0 + fees.amount1 * point.usd1) * share;
+            return {
+                timestamp: point.timestamp,
+                lpValueUsd,
+                hodlValueUsd,
+                feesUsd,
+                impermanentLossPercent: hodlValueUsd > 0 ? (lpValueUsd / hodlValueUsd - 1) * 100 : 0,
+                netVsHodlUsd: lpValueUsd + feesUsd - hodlValueUsd
+            };
+        });
+
+        return { entryValueUsd, series };
+    }
+
+    /**
+     * Range, liquidity and pool of a position NFT
+     */
+    async getV3Position(tokenId) {
+        const positionManager = this.contractUtils.getContract(
+            this.uniswap.requireDeployment('positionManagerAddress'),
+            POSITION_MANAGER_ABI
+        );
+        const position = await positionManager.positions(tokenId);
+        return {
+            pool: await this.uniswap.computePoolAddress(position.token0, position.token1, position.fee),
+            tickLower: position.tickLower,
+            tickUpper: position.tickUpper,
+            liquidity: position.liquidity
+        };
+    }
+
+    /**
+     * Pool price, tick and fee growth inside [tickLower, tickUpper) at a block
+     */
+    async getV3PoolState(poolAddress, tickLower, tickUpper, blockTag) {
+        const pool = this.contractUtils.getContract(poolAddress, POOL_ABI);
+        const [slot0, feeGrowthGlobal0, feeGrowthGlobal1, lower, upper, token0, token1, fee] =
+            await this.contractUtils.batchCall([
+                { contract: pool, method: 'slot0' },
+                { contract: pool, method: 'feeGrowthGlobal0X128' },
+                { contract: pool, method: 'feeGrowthGlobal1X128' },
+                { contract: pool, method: 'ticks', args: [tickLower] },
+                { contract: pool, method: 'ticks', args: [tickUpper] },
+                { contract: pool, method: 'token0' },
+                { contract: pool, method: 'token1' },
+                { contract: pool, method: 'fee' }
+            ], { blockTag });
+        // An uninitialized tick reads feeGrowthOutside as 0, crediting the range with the pool's global fee growth
+        if (!lower.initialized || !upper.initialized) {
+            throw invalidPosition(`Ticks ${tickLower} and ${tickUpper} are not both initialized at block ${blockTag}, ` +
+                'so the range\'s fee growth is unknown; pick an entryBlock after the position was minted');
+        }
+
+        const [token0Info, token1Info] = await Promise.all([
+            this.uniswap.getToken(token0),
+            this.uniswap.getToken(token1)
+        ]);
+        const sqrtPrice = parseFloat(slot0.sqrtPriceX96.toString()) / Q96;
+
+        return {
+            token0,
+            token1,
+            fee,
+            tick: slot0.tick,
+            price: sqrtPrice * sqrtPrice * Math.pow(10, token0Info.decimals - token1Info.decimals),
+            feeGrowthInside0: getFeeGrowthInside(slot0.tick, tickLower, tickUpper,
+                feeGrowthGlobal0, lower.feeGrowthOutside0X128, upper.feeGrowthOutside0X128),
+            feeGrowthInside1: getFeeGrowthInside(slot0.tick, tickLower, tickUpper,
+                feeGrowthGlobal1, lower.feeGrowthOutside1X128, upper.feeGrowthOutside1X128)
+        };
+    }
+}
+
+/**
+ * Raw token amounts for liquidity L at sqrt price sqrtP in the range [sqrtLower, sqrtUpper]
+ */
+function getV3Amounts(L, sqrtP, sqrtLower, sqrtUpper) {
+    if (sqrtP <= sqrtLower) {
+        return { amount0: L * (1 / sqrtLower - 1 / sqrtUpper), amount1: 0 };
+    }
+    if (sqrtP >= sqrtUpper) {
+        return { amount0: 0, amount1: L * (sqrtUpper - sqrtLower) };
+    }
+    return { amount0: L * (1 / sqrtP - 1 / sqrtUpper), amount1: L * (sqrtP - sqrtLower) };
+}
+
+/**
+ * Fee growth per unit of liquidity inside a tick range, as the pool computes it (mod 2^256)
+ */
+function getFeeGrowthInside(tick, tickLower, tickUpper, global, outsideLower, outsideUpper) {
+    const below = tick >= tickLower ? outsideLower : global.sub(outsideLower);
+    const above = tick < tickUpper ? outsideUpper : global.sub(outsideUpper);
+    return wrap(global.sub(below).sub(above));
+}
+
+function formatFees(liquidity, growthBefore, growthAfter, decimals) {
+    const earned = liquidity.mul(wrap(growthAfter.sub(growthBefore))).div(Q128);
+    return parseFloat(ethers.utils.formatUnits(earned, decimals));
+}
+
+function invalidPosition(message) {
+    return Object.assign(new Error(message), { code: INVALID_POSITION });
+}
+
+function wrap(value) {
+    return value.mod(UINT256).add(UINT256).mod(UINT256);
+}
+
+function nearestPrice(points, timestamp) {
+    let best = null;
+    for (const point of points) {
+        if (best === null || Math.abs(point.timestamp - timestamp) < Math.abs(best.timestamp - timestamp)) {
+            best = point;
+        }
+    }
+    return best ? best.price : null;
+}
+
+function downsample(points, maxPoints) {
+    if (points.length <= maxPoints) {
+        return points;
+    }
+    const step = (points.length - 1) / (maxPoints - 1);
+    return Array.from({ length: maxPoints }, (_, index) => points[Math.round(index * step)]);
+}
+
+// Minimal Uniswap V3 pool ABI for price and fee growth
+const POOL_ABI = [
+    'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    'function feeGrowthGlobal0X128() external view returns (uint256)',
+    'function feeGrowthGlobal1X128() external view returns (uint256)',
+    'function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+    'function token0() external view returns (address)',
+    'function token1() external view returns (address)',
+    'function fee() external view returns (uint24)'
+];
+
+// Minimal NonfungiblePositionManager ABI
+const POSITION_MANAGER_ABI = [
+    'function positions(uint256 tokenId) external view returns (uint96 nonce, address operator, address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)'
+];
+
+ImpermanentLossAnalytics.INVALID_POSITION = INVALID_POSITION;
+
+module.exports = ImpermanentLossAnalytics;
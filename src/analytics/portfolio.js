@@ -4,11 +4,30 @@
  */
 
 const { ethers } = require('ethers');
+const UniswapAnalytics = require('../protocols/uniswap');
+const AaveAnalytics = require('../protocols/aave');
+const CompoundAnalytics = require('../protocols/compound');
+const CurveAnalytics = require('../protocols/curve');
+const BalancerAnalytics = require('../protocols/balancer');
+const TokenDiscovery = require('./tokenDiscovery');
+const TokenRegistry = require('../utils/tokenRegistry');
+const ChainRegistry = require('../utils/chains');
+
+const DUST_THRESHOLD_USD = 1;
 
 class PortfolioAnalytics {
-    constructor(provider, priceOracle) {
+    constructor(provider, priceOracle, chainId = 1) {
         this.provider = provider;
         this.priceOracle = priceOracle;
+        this.chainId = chainId;
+        this.uniswap = new UniswapAnalytics(provider, priceOracle, chainId);
+        this.aave = new AaveAnalytics(provider, chainId);
+        this.compound = new CompoundAnalytics(provider, chainId);
+        this.curve = new CurveAnalytics(provider, chainId);
+        this.balancer = new BalancerAnalytics(provider, chainId);
+        this.tokenRegistry = TokenRegistry.forProvider(provider, chainId);
+        this.tokenDiscovery = new TokenDiscovery(provider, { tokenRegistry: this.tokenRegistry });
+        this.chainPortfolios = new Map();
         this.supportedProtocols = [
             'uniswap-v2',
             'uniswap-v3',
@@ -20,23 +39,27 @@ class PortfolioAnalytics {
     }
 
     /**
-     * Get complete portfolio overview for an address
+     * Get complete portfolio overview for an address.
+     * With `allChains`, aggregates the wallet across every configured chain.
      */
-    async getPortfolioOverview(address) {
+    async getPortfolioOverview(address, { allChains = false } = {}) {
+        if (allChains) {
+            return this.getMultiChainOverview(address);
+        }
+
         try {
             const [
                 tokenBalances,
                 lpPositions,
                 lendingPositions,
-                borrowPositions,
                 stakingRewards
             ] = await Promise.all([
                 this.getTokenBalances(address),
                 this.getLiquidityPositions(address),
                 this.getLendingPositions(address),
-                this.getBorrowPositions(address),
                 this.getStakingRewards(address)
             ]);
+            const borrowPositions = lendingPositions.filter(position => position.type === 'debt');
 
             const totalValue = await this.calculateTotalValue({
                 tokenBalances,
@@ -47,6 +70,7 @@ class PortfolioAnalytics {
 
             return {
                 address,
+                chainId: this.chainId,
                 totalValue,
                 breakdown: {
                     tokens: tokenBalances,
@@ -55,8 +79,8 @@ class PortfolioAnalytics {
                     borrowing: borrowPositions,
                     staking: stakingRewards
                 },
-                riskMetrics: await this.calculateRiskMetrics(address),
-                yieldSummary: await this.calculateYieldSummary(address)
+                riskMetrics: await this.calculateRiskMetrics(address, lendingPositions),
+                yieldSummary: await this.calculateYieldSummary(address, { lpPositions, lendingPositions })
             };
         } catch (error) {
             console.error('Error getting portfolio overview:', error);
@@ -64,52 +88,124 @@ class PortfolioAnalytics {
         }
     }
 
+    /**
+     * Portfolio overview on every configured chain, with the combined total value.
+     * A chain that fails is reported with its error instead of failing the whole overview.
+     */
+    async getMultiChainOverview(address) {
+        const chains = ChainRegistry.getConfiguredChains();
+
+        const results = await Promise.all(chains.map(async chain => {
+            try {
+                const overview = await this.forChain(chain).getPortfolioOverview(address);
+                return { chain, overview };
+            } catch (error) {
+                console.log(`Error fetching ${chain.name} portfolio:`, error.message);
+                return { chain, error: error.message };
+            }
+        }));
+
+        const byChain = {};
+        let totalValue = 0;
+        for (const { chain, overview, error } of results) {
+            byChain[chain.key] = overview || { chainId: chain.chainId, error };
+            totalValue += overview ? overview.totalValue : 0;
+        }
+
+        return {
+            address,
+            totalValue,
+            chains: byChain
+        };
+    }
+
+    /**
+     * PortfolioAnalytics for another chain, sharing this instance's price oracle
+     */
+    forChain(chain) {
+        if (chain.chainId === this.chainId) {
+            return this;
+        }
+        if (!this.chainPortfolios.has(chain.key)) {
+            this.chainPortfolios.set(chain.key, new PortfolioAnalytics(
+                ChainRegistry.getProvider(chain.key),
+                this.priceOracle,
+                chain.chainId
+            ));
+        }
+        return this.chainPortfolios.get(chain.key);
+    }
+
     /**
      * Get token balances for an address
      */
     async getTokenBalances(address) {
         const balances = [];
         
-        // ETH balance
-        const ethBalance = await this.provider.getBalance(address);
-        const ethPrice = await this.priceOracle.getPrice('ethereum');
+        // Native token balance (ETH on Ethereum)
+        const native = this.tokenRegistry.getNativeToken();
+        const nativeBalance = await this.provider.getBalance(address);
+        const nativePrice = await this.getUsdPrice(native.symbol);
         
         balances.push({
-            token: 'ETH',
-            symbol: 'ETH',
-            balance: ethers.utils.formatEther(ethBalance),
-            value: parseFloat(ethers.utils.formatEther(ethBalance)) * ethPrice,
-            price: ethPrice
+            token: native.symbol,
+            symbol: native.symbol,
+            balance: ethers.utils.formatEther(nativeBalance),
+            value: parseFloat(ethers.utils.formatEther(nativeBalance)) * nativePrice,
+            price: nativePrice
         });
 
-        // ERC20 token balances (would need to query known tokens)
-        const commonTokens = [
-            { address: '0xA0b86a33E6441E6C8D3c8C8C8C8C8C8C8C8C8C8C', symbol: 'USDC', decimals: 6 },
-            { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', symbol: 'USDT', decimals: 6 },
-            { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', symbol: 'DAI', decimals: 18 }
-        ];
+        let tokens;
+        try {
+            ({ tokens } = await this.tokenDiscovery.getWalletTokens(address));
+        } catch (error) {
+            console.log('Error discovering tokens:', error.message);
+            tokens = await this.getListedTokenBalances(address);
+        }
 
-        for (const token of commonTokens) {
-            try {
-                const balance = await this.getERC20Balance(address, token.address, token.decimals);
-                if (balance > 0) {
-                    const price = await this.priceOracle.getPrice(token.symbol.toLowerCase());
-                    balances.push({
-                        token: token.address,
-                        symbol: token.symbol,
-                        balance: balance,
-                        value: balance * price,
-                        price: price
-                    });
-                }
-            } catch (error) {
-                console.log(`Error fetching ${token.symbol} balance:`, error.message);
+        const prices = await this.getTokenPrices(tokens);
+        for (const token of tokens) {
+            const price = prices.get(token.address) || 0;
+            const value = price ? token.balance * price : 0;
+
+            if (price && value < DUST_THRESHOLD_USD) {
+                continue;
+            }
+            // Unpriced, unlisted and only ever pushed to the wallet: airdrop spam
+            if (!price && !token.listed && this.tokenDiscovery.isAirdrop(token.activity)) {
+                continue;
             }
+
+            balances.push({
+                token: token.address,
+                symbol: token.symbol,
+                balance: token.balance,
+                value,
+                price,
+                listed: token.listed
+            });
         }
 
         return balances;
     }
 
+    /**
+     * Check balances of every token in the registry's lists (used when log discovery fails)
+     */
+    async getListedTokenBalances(address) {
+        const listed = this.tokenRegistry.getTokens();
+        const balances = await this.tokenDiscovery.getBalances(address, listed.map(token => token.address));
+
+        return listed
+            .map((token, index) => ({ token, balance: balances[index] }))
+            .filter(({ balance }) => balance !== null && !balance.isZero())
+            .map(({ token, balance }) => ({
+                ...token,
+                listed: true,
+                balance: parseFloat(ethers.utils.formatUnits(balance, token.decimals))
+            }));
+    }
+
     /**
      * Get liquidity positions across DEXes
      */
@@ -132,6 +228,22 @@ class PortfolioAnalytics {
             console.log('Error fetching Uniswap V2 positions:', error.message);
         }
 
+        // Curve LP positions
+        try {
+            const curvePositions = await this.getCurvePositions(address);
+            positions.push(...curvePositions);
+        } catch (error) {
+            console.log('Error fetching Curve positions:', error.message);
+        }
+
+        // Balancer V2 BPT positions
+        try {
+            const balancerPositions = await this.getBalancerPositions(address);
+            positions.push(...balancerPositions);
+        } catch (error) {
+            console.log('Error fetching Balancer positions:', error.message);
+        }
+
         return positions;
     }
 
@@ -149,14 +261,22 @@ class PortfolioAnalytics {
             console.log('Error fetching Aave positions:', error.message);
         }
 
+        // Compound V2 and V3 positions
+        try {
+            const compoundPositions = await this.getCompoundPositions(address);
+            positions.push(...compoundPositions);
+        } catch (error) {
+            console.log('Error fetching Compound positions:', error.message);
+        }
+
         return positions;
     }
 
     /**
-     * Calculate portfolio risk metrics
+     * Calculate portfolio risk metrics, from already fetched lending positions when given
      */
-    async calculateRiskMetrics(address) {
-        const positions = await this.getLendingPositions(address);
+    async calculateRiskMetrics(address, lendingPositions) {
+        const positions = lendingPositions || await this.getLendingPositions(address);
         
         let totalCollateral = 0;
         let totalDebt = 0;
@@ -171,9 +291,8 @@ class PortfolioAnalytics {
             }
         }
 
-        const healthFactor = totalCollateral > 0 ? 
-            (liquidationThreshold / totalCollateral) / (totalDebt / totalCollateral) : 
-            Infinity;
+        // Debt with no eligible collateral is liquidatable, not risk-free
+        const healthFactor = totalDebt > 0 ? liquidationThreshold / totalDebt : Infinity;
 
         return {
             healthFactor,
@@ -185,11 +304,11 @@ class PortfolioAnalytics {
     }
 
     /**
-     * Calculate yield summary across all positions
+     * Calculate yield summary across all positions, from already fetched positions when given
      */
-    async calculateYieldSummary(address) {
-        const lpPositions = await this.getLiquidityPositions(address);
-        const lendingPositions = await this.getLendingPositions(address);
+    async calculateYieldSummary(address, positions = {}) {
+        const lpPositions = positions.lpPositions || await this.getLiquidityPositions(address);
+        const lendingPositions = positions.lendingPositions || await this.getLendingPositions(address);
         
         let totalYield = 0;
         let weightedAPY = 0;
@@ -234,6 +353,180 @@ class PortfolioAnalytics {
         return parseFloat(ethers.utils.formatUnits(balance, decimals));
     }
 
+    /**
+     * Helper method to get a token's USD price, treating unpriceable tokens as 0
+     */
+    async getUsdPrice(symbol) {
+        try {
+            const price = await this.priceOracle.getPrice(symbol);
+            return price.usd || 0;
+        } catch (error) {
+            console.log(`Error fetching ${symbol} price:`, error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * USD prices of wallet tokens keyed by address, in two requests: listed tokens by symbol,
+     * unlisted ones by contract address (a spoofed symbol would borrow a real price).
+     * Tokens that cannot be priced are left out.
+     */
+    async getTokenPrices(tokens) {
+        const prices = new Map();
+        const listed = tokens.filter(token => token.listed);
+        const unlisted = tokens.filter(token => !token.listed);
+
+        if (listed.length > 0) {
+            try {
+                const bySymbol = await this.priceOracle.getBatchPrices([...new Set(listed.map(token => token.symbol))]);
+                for (const token of listed) {
+                    const data = bySymbol[token.symbol];
+                    if (data && data.usd > 0) {
+                        prices.set(token.address, data.usd);
+                    }
+                }
+            } catch (error) {
+                console.log('Error fetching token prices:', error.message);
+            }
+        }
+
+        if (unlisted.length > 0) {
+            try {
+                const byAddress = await this.priceOracle.getTokenPricesByAddress(
+                    this.chainId, unlisted.map(token => token.address));
+                for (const token of unlisted) {
+                    const usd = byAddress[token.address.toLowerCase()];
+                    if (usd) {
+                        prices.set(token.address, usd);
+                    }
+                }
+            } catch (error) {
+                console.log('Error fetching token prices by address:', error.message);
+            }
+        }
+
+        return prices;
+    }
+
+    /**
+     * Get Uniswap V3 LP positions valued in USD
+     */
+    async getUniswapV3Positions(address) {
+        const positions = await this.uniswap.getPositions(address);
+
+        return Promise.all(positions.map(async position => {
+            const [price0, price1] = await Promise.all([
+                this.getUsdPrice(position.token0.symbol),
+                this.getUsdPrice(position.token1.symbol)
+            ]);
+
+            const liquidityValue = parseFloat(position.amount0) * price0 +
+                parseFloat(position.amount1) * price1;
+            const feesValue = parseFloat(position.uncollectedFees.amount0) * price0 +
+                parseFloat(position.uncollectedFees.amount1) * price1;
+
+            return {
+                protocol: 'uniswap-v3',
+                ...position,
+                liquidityValue,
+                feesValue,
+                value: liquidityValue + feesValue
+            };
+        }));
+    }
+
+    /**
+     * Get Uniswap V2 LP positions valued in USD
+     */
+    async getUniswapV2Positions(address) {
+        const positions = await this.uniswap.getV2Positions(address);
+
+        return Promise.all(positions.map(async position => {
+            const [price0, price1] = await Promise.all([
+                this.getUsdPrice(position.token0.symbol),
+                this.getUsdPrice(position.token1.symbol)
+            ]);
+
+            return {
+                protocol: 'uniswap-v2',
+                ...position,
+                value: position.amount0 * price0 + position.amount1 * price1
+            };
+        }));
+    }
+
+    /**
+     * Get Curve LP positions valued from their share of the pool's coins
+     */
+    async getCurvePositions(address) {
+        const positions = await this.curve.getUserPositions(address);
+
+        return Promise.all(positions.map(async position => {
+            const underlying = await Promise.all(position.underlying.map(async coin => {
+                const price = await this.getUsdPrice(coin.symbol);
+                return { ...coin, price, value: parseFloat(coin.amount) * price };
+            }));
+
+            return {
+                ...position,
+                underlying,
+                value: underlying.reduce((sum, coin) => sum + coin.value, 0)
+            };
+        }));
+    }
+
+    /**
+     * Get Balancer V2 BPT positions valued through the pool's BPT price
+     */
+    async getBalancerPositions(address) {
+        const positions = await this.balancer.getUserPositions(address);
+
+        return Promise.all(positions.map(async ({ poolInfo, ...position }) => {
+            const prices = {};
+            await Promise.all(poolInfo.tokens.map(async token => {
+                prices[token.symbol] = await this.getUsdPrice(token.symbol);
+            }));
+
+            const bptPrice = this.balancer.calculateBptValue(poolInfo, prices);
+
+            return {
+                ...position,
+                underlying: position.underlying.map(token => ({
+                    ...token,
+                    price: prices[token.symbol],
+                    value: token.amount * prices[token.symbol]
+                })),
+                bptPrice,
+                value: parseFloat(position.bptBalance) * bptPrice
+            };
+        }));
+    }
+
+    /**
+     * Get Aave V3 supply, collateral and debt positions
+     */
+    async getAavePositions(address) {
+        if (!this.aave.isDeployed()) {
+            return [];
+        }
+        return this.aave.getUserPositions(address);
+    }
+
+    /**
+     * Get Compound V2 and V3 (Comet) supply, collateral and debt positions
+     */
+    async getCompoundPositions(address) {
+        return this.compound.getUserPositions(address);
+    }
+
+    /**
+     * Get outstanding debt across lending protocols
+     */
+    async getBorrowPositions(address) {
+        const positions = await this.getLendingPositions(address);
+        return positions.filter(position => position.type === 'debt');
+    }
+
     /**
      * Calculate total portfolio value
      */
@@ -263,10 +556,6 @@ class PortfolioAnalytics {
     }
 
     // Placeholder methods for specific protocol integrations
-    async getUniswapV3Positions(address) { return []; }
-    async getUniswapV2Positions(address) { return []; }
-    async getAavePositions(address) { return []; }
-    async getBorrowPositions(address) { return []; }
     async getStakingRewards(address) { return []; }
 }
 
@@ -0,0 +1,319 @@
+/**
+ * Portfolio History
+ * Snapshots tracked wallets on a schedule and derives performance from the stored series
+ */
+
+const ChainRegistry = require('../utils/chains');
+const PortfolioSnapshot = require('../models/portfolioSnapshot');
+const TrackedWallet = require('../models/trackedWallet');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+class PortfolioHistory {
+    /**
+     * @param {PortfolioAnalytics} portfolioAnalytics - Ethereum portfolio; other chains go through forChain
+     * @param {Object} [options] - { intervalMinutes }
+     */
+    constructor(portfolioAnalytics, options = {}) {
+        this.portfolioAnalytics = portfolioAnalytics;
+        this.intervalMinutes = options.intervalMinutes ||
+            parseInt(process.env.SNAPSHOT_INTERVAL_MINUTES, 10) ||
+            DEFAULT_INTERVAL_MINUTES;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Snapshot every tracked wallet now and then every `intervalMinutes`
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.snapshotAll(), this.intervalMinutes * 60 * 1000);
+        this.snapshotAll();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Start tracking a wallet on a chain ('all' for every configured chain) and take its first snapshot
+     */
+    async track(address, chain) {
+        const wallet = await TrackedWallet.findOneAndUpdate(
+            { address: address.toLowerCase(), chain },
+            { $setOnInsert: { createdAt: new Date() } },
+            { upsert: true, new: true }
+        );
+        const snapshot = await this.snapshotWallet(wallet);
+        return { wallet, snapshot };
+    }
+
+    /**
+     * Stop tracking a wallet; its snapshots are kept. Resolves to whether it was tracked.
+     */
+    async untrack(address, chain) {
+        const result = await TrackedWallet.deleteOne({ address: address.toLowerCase(), chain });
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * Snapshot every tracked wallet, one at a time to spare the RPC endpoints.
+     * A run is skipped while the previous one is still going.
+     */
+    async snapshotAll() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+
+        try {
+            const wallets = await TrackedWallet.find();
+            for (const wallet of wallets) {
+                await this.snapshotWallet(wallet);
+            }
+        } catch (error) {
+            console.error('Error running portfolio snapshots:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Value a tracked wallet and store the snapshot; failures are recorded on the wallet.
+     * Resolves to the snapshot, or null if the portfolio could not be valued.
+     */
+    async snapshotWallet(wallet) {
+        try {
+            const snapshot = await PortfolioSnapshot.create(await this.buildSnapshot(wallet.address, wallet.chain));
+            wallet.lastSnapshotAt = snapshot.timestamp;
+            wallet.lastError = undefined;
+            await wallet.save();
+            return snapshot;
+        } catch (error) {
+            console.error(`Error snapshotting ${wallet.address} on ${wallet.chain}:`, error.message);
+            wallet.lastError = error.message;
+            await wallet.save().catch(() => {});
+            return null;
+        }
+    }
+
+    /**
+     * Value a wallet and reduce the overview to the snapshot document.
+     * A multi-chain snapshot is only taken when every chain could be valued,
+     * so a failing RPC does not show up as a drop in value.
+     */
+    async buildSnapshot(address, chainKey) {
+        let overviews;
+        let riskMetrics;
+
+        if (chainKey === 'all') {
+            const overview = await this.portfolioAnalytics.getPortfolioOverview(address, { allChains: true });
+            const failed = Object.entries(overview.chains).filter(([, chain]) => chain.error);
+            if (failed.length > 0) {
+                throw new Error(`Could not value ${failed.map(([key]) => key).join(', ')}`);
+            }
+            overviews = Object.values(overview.chains);
+            riskMetrics = Object.fromEntries(
+                Object.entries(overview.chains).map(([key, chain]) => [key, chain.riskMetrics])
+            );
+        } else {
+            const chain = ChainRegistry.getChain(chainKey);
+            const overview = await this.portfolioAnalytics.forChain(chain).getPortfolioOverview(address);
+            overviews = [overview];
+            riskMetrics = overview.riskMetrics;
+        }
+
+        const breakdown = { tokens: 0, liquidityProvision: 0, lending: 0, borrowing: 0 };
+        const holdings = [];
+        for (const overview of overviews) {
+            const totals = summarizeBreakdown(overview.breakdown);
+            for (const category of Object.keys(breakdown)) {
+                breakdown[category] += totals[category];
+            }
+            holdings.push(...this.extractHoldings(overview));
+        }
+
+        return {
+            address,
+            chain: chainKey,
+            timestamp: new Date(),
+            totalValue: overviews.reduce((sum, overview) => sum + overview.totalValue, 0),
+            breakdown,
+            holdings,
+            riskMetrics
+        };
+    }
+
+    /**
+     * Flatten an overview into priced holdings keyed so they can be matched across snapshots.
+     * Debt is stored with a negative amount. LP positions have no single price and are held
+     * as one unit priced at the position's value.
+     */
+    extractHoldings(overview) {
+        const { chainId, breakdown } = overview;
+        const holdings = [];
+
+        for (const token of breakdown.tokens) {
+            if (token.price) {
+                holdings.push({
+                    key: `token:${chainId}:${token.token}`,
+                    symbol: token.symbol,
+                    amount: parseFloat(token.balance),
+                    price: token.price,
+                    value: token.value
+                });
+            }
+        }
+
+        for (const position of breakdown.lending) {
+            // Collateral entries repeat a supply position
+            if (position.type === 'collateral' || !position.price) {
+                continue;
+            }
+            const sign = position.type === 'debt' ? -1 : 1;
+            const market = position.market || position.asset;
+            const key = [position.protocol, chainId, position.type, position.rateMode, market, position.symbol]
+                .filter(part => part !== undefined)
+                .join(':');
+            holdings.push({
+                key,
+                symbol: position.symbol,
+                amount: sign * position.balance,
+                price: position.price,
+                value: sign * position.value
+            });
+        }
+
+        for (const position of breakdown.liquidityProvision) {
+            const id = position.tokenId || position.pool || position.address || position.name;
+            holdings.push({
+                key: `lp:${position.protocol || 'lp'}:${chainId}:${id}`,
+                symbol: position.name || position.protocol,
+                amount: 1,
+                price: position.value || 0,
+                value: position.value || 0
+            });
+        }
+
+        return holdings;
+    }
+
+    /**
+     * Snapshot series for a wallet between `from` and `to` (Dates), with performance over it
+     */
+    async getHistory(address, chain, { from, to } = {}) {
+        const query = { address: address.toLowerCase(), chain };
+        if (from || to) {
+            query.timestamp = {};
+            if (from) {
+                query.timestamp.$gte = from;
+            }
+            if (to) {
+                query.timestamp.$lte = to;
+            }
+        }
+
+        const [snapshots, wallet] = await Promise.all([
+            PortfolioSnapshot.find(query).sort({ timestamp: 1 }).lean(),
+            TrackedWallet.findOne({ address: address.toLowerCase(), chain }).lean()
+        ]);
+        const performance = PortfolioHistory.calculatePerformance(snapshots);
+
+        return {
+            address,
+            chain,
+            tracked: Boolean(wallet),
+            lastSnapshotAt: wallet ? wallet.lastSnapshotAt : null,
+            lastError: wallet ? wallet.lastError || null : null,
+            series: snapshots.map((snapshot, index) => ({
+                timestamp: snapshot.timestamp,
+                totalValue: snapshot.totalValue,
+                breakdown: snapshot.breakdown,
+                riskMetrics: snapshot.riskMetrics,
+                cumulativeReturn: performance.returnIndex[index]
+            })),
+            performance: {
+                pnl: performance.pnl,
+                pnlPercent: performance.pnlPercent,
+                maxDrawdown: performance.maxDrawdown,
+                timeWeightedReturn: performance.timeWeightedReturn
+            }
+        };
+    }
+
+    /**
+     * PnL is the raw change in value, so deposits and withdrawals count towards it.
+     * The time-weighted return instead chains per-period returns measured on the holdings
+     * carried over from the previous snapshot, revalued at the new prices; money moving in
+     * or out between snapshots does not register as performance. Max drawdown is the largest
+     * peak-to-trough fall of that return index. Percentages throughout.
+     */
+    static calculatePerformance(snapshots) {
+        if (snapshots.length === 0) {
+            return { pnl: null, pnlPercent: null, maxDrawdown: null, timeWeightedReturn: null, returnIndex: [] };
+        }
+
+        const first = snapshots[0];
+        const last = snapshots[snapshots.length - 1];
+        const pnl = last.totalValue - first.totalValue;
+
+        let growth = 1;
+        let peak = 1;
+        let maxDrawdown = 0;
+        const returnIndex = [0];
+
+        for (let i = 1; i < snapshots.length; i++) {
+            growth *= 1 + periodReturn(snapshots[i - 1].holdings, snapshots[i].holdings);
+            peak = Math.max(peak, growth);
+            maxDrawdown = Math.max(maxDrawdown, (peak - growth) / peak);
+            returnIndex.push((growth - 1) * 100);
+        }
+
+        return {
+            pnl,
+            pnlPercent: first.totalValue > 0 ? pnl / first.totalValue * 100 : null,
+            maxDrawdown: maxDrawdown * 100,
+            timeWeightedReturn: (growth - 1) * 100,
+            returnIndex
+        };
+    }
+}
+
+/**
+ * USD totals per category of an overview's breakdown
+ */
+function summarizeBreakdown(breakdown) {
+    const sum = items => items.reduce((total, item) => total + (item.value || 0), 0);
+    return {
+        tokens: sum(breakdown.tokens),
+        liquidityProvision: sum(breakdown.liquidityProvision),
+        lending: sum(breakdown.lending.filter(position => position.type === 'supply')),
+        borrowing: sum(breakdown.borrowing)
+    };
+}
+
+/**
+ * Return of the previous snapshot's holdings from its prices to the next snapshot's.
+ * Holdings missing from either snapshot were moved in or out and are left out.
+ */
+function periodReturn(previousHoldings, currentHoldings) {
+    const currentPrices = new Map(currentHoldings.map(holding => [holding.key, holding.price]));
+
+    let before = 0;
+    let after = 0;
+    for (const holding of previousHoldings) {
+        if (!currentPrices.has(holding.key)) {
+            continue;
+        }
+        before += holding.amount * holding.price;
+        after += holding.amount * currentPrices.get(holding.key);
+    }
+
+    return before > 0 ? after / before - 1 : 0;
+}
+
+module.exports = PortfolioHistory;
@@ -0,0 +1,265 @@
+/**
+ * Risk Analytics
+ * Market risk of a portfolio's holdings from daily price returns: per-asset volatility,
+ * correlation, historical and parametric VaR/CVaR, concentration and stablecoin share
+ */
+
+const DEFAULT_LOOKBACK_DAYS = 90;
+const MAX_LOOKBACK_DAYS = 365;
+const CONFIDENCE_LEVELS = [0.95, 0.99];
+const DAYS_PER_YEAR = 365;
+const MS_PER_DAY = 86400000;
+
+// One-sided standard normal quantiles for the confidence levels
+const Z_SCORES = { 0.95: 1.6448536, 0.99: 2.3263479 };
+
+// USD stablecoins, by symbol
+const STABLECOINS = new Set([
+    'USDC', 'USDC.E', 'USDBC', 'USDT', 'DAI', 'FRAX', 'LUSD', 'BUSD', 'TUSD', 'USDP', 'GUSD',
+    'SUSD', 'CRVUSD', 'GHO', 'PYUSD', 'USDE', 'USDS', 'MIM'
+]);
+
+class RiskAnalytics {
+    /**
+     * @param {PriceOracle} priceOracle
+     * @param {Object} [options] - { lookbackDays } default RISK_LOOKBACK_DAYS or 90
+     */
+    constructor(priceOracle, options = {}) {
+        this.priceOracle = priceOracle;
+        this.lookbackDays = options.lookbackDays ||
+            parseInt(process.env.RISK_LOOKBACK_DAYS, 10) ||
+            DEFAULT_LOOKBACK_DAYS;
+    }
+
+    static isStablecoin(symbol) {
+        return Boolean(symbol) && STABLECOINS.has(symbol.toUpperCase());
+    }
+
+    /**
+     * Analyze priced holdings ({ key, symbol, amount, price, value }, debt negative) as
+     * produced for portfolio snapshots. Holdings are netted per symbol into USD exposures.
+     * LP positions and assets without a price history are left out of the return-series
+     * metrics and listed under `excluded`.
+     */
+    async analyze(holdings, { days = this.lookbackDays } = {}) {
+        const lookback = Math.min(Math.max(days, 2), MAX_LOOKBACK_DAYS);
+
+        const exposures = new Map();
+        const excluded = [];
+        for (const holding of holdings) {
+            if (holding.key.startsWith('lp:')) {
+                excluded.push({ symbol: holding.symbol, value: holding.value, reason: 'LP position has no single price series' });
+                continue;
+            }
+            const symbol = holding.symbol.toUpperCase();
+            exposures.set(symbol, (exposures.get(symbol) || 0) + holding.value);
+        }
+
+        const series = [];
+        for (const [symbol, exposure] of exposures) {
+            if (exposure === 0) {
+                continue;
+            }
+            try {
+                const prices = await this.priceOracle.getHistoricalPrices(symbol, lookback);
+                series.push({ symbol, exposure, closes: toDailyCloses(prices) });
+            } catch (error) {
+                console.log(`Error fetching price history for ${symbol}:`, error.message);
+                excluded.push({ symbol, value: exposure, reason: 'No price history' });
+            }
+        }
+
+        // Returns over the days every analyzed asset has a price for
+        const dates = commonDays(series.map(asset => asset.closes));
+        const assets = series.map(asset => {
+            const returns = dailyReturns(dates.map(day => asset.closes.get(day)));
+            return { symbol: asset.symbol, exposure: asset.exposure, returns, mean: mean(returns) };
+        });
+        const observations = dates.length > 0 ? dates.length - 1 : 0;
+
+        const grossValue = holdings.reduce((sum, holding) => sum + Math.abs(holding.value), 0);
+        const analyzedExposure = assets.reduce((sum, asset) => sum + Math.abs(asset.exposure), 0);
+        const netExposure = assets.reduce((sum, asset) => sum + asset.exposure, 0);
+
+        return {
+            lookbackDays: lookback,
+            observations,
+            coverage: grossValue > 0 ? analyzedExposure / grossValue * 100 : 0,
+            assets: assets.map(asset => {
+                const dailyVolatility = stdev(asset.returns);
+                return {
+                    symbol: asset.symbol,
+                    exposure: asset.exposure,
+                    stablecoin: RiskAnalytics.isStablecoin(asset.symbol),
+                    meanDailyReturn: asset.mean * 100,
+                    dailyVolatility: dailyVolatility * 100,
+                    annualizedVolatility: dailyVolatility * Math.sqrt(DAYS_PER_YEAR) * 100
+                };
+            }),
+            correlation: {
+                symbols: assets.map(asset => asset.symbol),
+                matrix: assets.map(a => assets.map(b => correlation(a.returns, b.returns)))
+            },
+            valueAtRisk: observations >= 2 ? calculateValueAtRisk(assets, netExposure) : null,
+            concentration: calculateConcentration(holdings),
+            stablecoinShare: calculateStablecoinShare(holdings),
+            excluded
+        };
+    }
+}
+
+/**
+ * One-day VaR and CVaR (expected shortfall) in USD, as positive losses, at each confidence
+ * level. Historical figures replay the observed daily returns against today's exposures;
+ * parametric ones assume normally distributed returns with the sample covariance.
+ */
+function calculateValueAtRisk(assets, netExposure) {
+    const pnl = assets[0].returns.map((_, day) =>
+        assets.reduce((sum, asset) => sum + asset.exposure * asset.returns[day], 0));
+    const sorted = [...pnl].sort((a, b) => a - b);
+
+    const expected = assets.reduce((sum, asset) => sum + asset.exposure * asset.mean, 0);
+    let variance = 0;
+    for (const a of assets) {
+        for (const b of assets) {
+            variance += a.exposure * b.exposure * covariance(a.returns, b.returns);
+        }
+    }
+    const sigma = Math.sqrt(Math.max(variance, 0));
+    const percentOf = usd => netExposure > 0 ? usd / netExposure * 100 : null;
+
+    const result = { horizonDays: 1, dailyVolatilityUsd: sigma };
+    for (const level of CONFIDENCE_LEVELS) {
+        const tail = sorted.slice(0, Math.max(1, Math.floor(sorted.length * (1 - level))));
+        const historicalVar = -tail[tail.length - 1];
+        const historicalCvar = -mean(tail);
+
+        const z = Z_SCORES[level];
+        const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+        const parametricVar = z * sigma - expected;
+        const parametricCvar = sigma * density / (1 - level) - expected;
+
+        result[Math.round(level * 100)] = {
+            historical: {
+                var: historicalVar,
+                cvar: historicalCvar,
+                varPercent: percentOf(historicalVar),
+                cvarPercent: percentOf(historicalCvar)
+            },
+            parametric: {
+                var: parametricVar,
+                cvar: parametricCvar,
+                varPercent: percentOf(parametricVar),
+                cvarPercent: percentOf(parametricCvar)
+            }
+        };
+    }
+    return result;
+}
+
+/**
+ * Herfindahl-Hirschman index of the long holdings' weights (1 = a single asset),
+ * with the equivalent number of equally weighted holdings
+ */
+function calculateConcentration(holdings) {
+    const values = new Map();
+    for (const holding of holdings) {
+        if (holding.value > 0) {
+            const name = holding.key.startsWith('lp:') ? holding.key : holding.symbol.toUpperCase();
+            if (!values.has(name)) {
+                values.set(name, { symbol: holding.symbol, value: 0 });
+            }
+            values.get(name).value += holding.value;
+        }
+    }
+
+    const total = [...values.values()].reduce((sum, entry) => sum + entry.value, 0);
+    if (total === 0) {
+        return { hhi: null, effectiveHoldings: null, largest: null };
+    }
+
+    const weights = [...values.values()]
+        .map(entry => ({ symbol: entry.symbol, weight: entry.value / total }))
+        .sort((a, b) => b.weight - a.weight);
+    const hhi = weights.reduce((sum, entry) => sum + entry.weight * entry.weight, 0);
+
+    return {
+        hhi,
+        effectiveHoldings: 1 / hhi,
+        largest: { symbol: weights[0].symbol, weight: weights[0].weight * 100 }
+    };
+}
+
+/**
+ * Share of the long holdings' value held in stablecoins, in percent
+ */
+function calculateStablecoinShare(holdings) {
+    let total = 0;
+    let stable = 0;
+    for (const holding of holdings) {
+        if (holding.value > 0) {
+            total += holding.value;
+            if (!holding.key.startsWith('lp:') && RiskAnalytics.isStablecoin(holding.symbol)) {
+                stable += holding.value;
+            }
+        }
+    }
+    return total > 0 ? stable / total * 100 : 0;
+}
+
+/**
+ * Last price of each UTC day, keyed by the day's start (ms)
+ */
+function toDailyCloses(prices) {
+    const closes = new Map();
+    for (const point of prices) {
+        const time = new Date(point.timestamp).getTime();
+        closes.set(Math.floor(time / MS_PER_DAY) * MS_PER_DAY, point.price);
+    }
+    return closes;
+}
+
+function commonDays(closesList) {
+    if (closesList.length === 0) {
+        return [];
+    }
+    return [...closesList[0].keys()]
+        .filter(day => closesList.every(closes => closes.get(day) > 0))
+        .sort((a, b) => a - b);
+}
+
+function dailyReturns(closes) {
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+        returns.push(closes[i] / closes[i - 1] - 1);
+    }
+    return returns;
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function covariance(a, b) {
+    if (a.length < 2) {
+        return 0;
+    }
+    const meanA = mean(a);
+    const meanB = mean(b);
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += (a[i] - meanA) * (b[i] - meanB);
+    }
+    return sum / (a.length - 1);
+}
+
+function stdev(values) {
+    return Math.sqrt(covariance(values, values));
+}
+
+function correlation(a, b) {
+    const denominator = stdev(a) * stdev(b);
+    return denominator > 0 ? covariance(a, b) / denominator : null;
+}
+
+module.exports = RiskAnalytics;
@@ -0,0 +1,240 @@
+/**
+ * Lending Stress Test
+ * Applies price shocks to the collateral and debt positions behind the health factor:
+ * resulting health factor, liquidation price of each asset and the amount liquidatable
+ */
+
+const RiskAnalytics = require('./risk');
+
+// Symbols a shock on the group key also moves
+const ASSET_GROUPS = {
+    ETH: ['ETH', 'WETH', 'STETH', 'WSTETH', 'CBETH', 'RETH', 'WEETH'],
+    BTC: ['BTC', 'WBTC', 'CBBTC', 'TBTC', 'BTCB']
+};
+
+// How much of a liquidatable account can be repaid at once and the collateral bonus paid for it
+const LIQUIDATION_RULES = {
+    // Half the debt, or all of it once the health factor is below 0.95
+    'aave-v3': { closeFactor: 0.5, fullCloseBelow: 0.95, bonus: 1.05 },
+    'compound-v2': { closeFactor: 0.5, bonus: 1.08 },
+    // Comet absorbs the whole account: all debt is cleared against all collateral
+    'compound-v3': { closeFactor: 1, absorb: true }
+};
+const DEFAULT_RULES = { closeFactor: 0.5, bonus: 1.05 };
+
+const DEFAULT_SCENARIOS = [
+    { name: 'ETH -10%', shocks: { ETH: -10 } },
+    { name: 'ETH -30%', shocks: { ETH: -30 } },
+    { name: 'ETH -50%', shocks: { ETH: -50 } },
+    { name: 'Stablecoins depeg 5%', shocks: { stablecoins: -5 } },
+    { name: 'ETH -30%, stablecoins depeg 5%', shocks: { ETH: -30, stablecoins: -5 } },
+    { name: 'Crypto crash', shocks: { ETH: -40, BTC: -35, stablecoins: 0, '*': -50 } }
+];
+
+class StressTest {
+    /**
+     * @param {PortfolioAnalytics} portfolioAnalytics - source of the wallet's lending positions
+     */
+    constructor(portfolioAnalytics) {
+        this.portfolioAnalytics = portfolioAnalytics;
+    }
+
+    /**
+     * Stress a wallet's current lending positions
+     */
+    async run(address, scenarios) {
+        const positions = await this.portfolioAnalytics.getLendingPositions(address);
+        return this.simulate(positions, scenarios);
+    }
+
+    /**
+     * Stress `collateral` and `debt` positions ({ protocol, market, symbol, type, balance,
+     * price, liquidationThreshold, liquidationBonus }) under each scenario. A scenario's
+     * `shocks` map a symbol, `ETH`/`BTC` (with their wrapped and staked forms), `stablecoins`
+     * or `*` (anything else) to a percent price change; the most specific key wins.
+     * Each protocol account is liquidated on its own, so results are per account, with the
+     * combined health factor as `calculateRiskMetrics` reports it.
+     */
+    simulate(positions, scenarios = DEFAULT_SCENARIOS) {
+        const relevant = positions.filter(position => position.type === 'collateral' || position.type === 'debt');
+
+        return {
+            current: this.evaluate(relevant, {}),
+            scenarios: scenarios.map(scenario => ({
+                name: scenario.name || describeShocks(scenario.shocks),
+                shocks: scenario.shocks,
+                ...this.evaluate(relevant, scenario.shocks)
+            }))
+        };
+    }
+
+    /**
+     * Health factors, liquidation prices and liquidatable amounts at the shocked prices
+     */
+    evaluate(positions, shocks) {
+        const shocked = positions.map(position => {
+            const price = position.price * (1 + getShock(shocks, position.symbol) / 100);
+            return { ...position, price, value: position.balance * price };
+        });
+
+        const accounts = groupByAccount(shocked).map(account => this.evaluateAccount(account));
+        const totalCollateral = accounts.reduce((sum, account) => sum + account.collateralValue, 0);
+        const totalDebt = accounts.reduce((sum, account) => sum + account.debtValue, 0);
+        const weightedCollateral = accounts.reduce((sum, account) => sum + account.weightedCollateral, 0);
+
+        return {
+            healthFactor: toHealthFactor(weightedCollateral, totalDebt),
+            totalCollateral,
+            totalDebt,
+            liquidatable: accounts.some(account => account.liquidatable),
+            debtToCover: accounts.reduce((sum, account) => sum + account.debtToCover, 0),
+            collateralSeized: accounts.reduce((sum, account) => sum + account.collateralSeized, 0),
+            accounts
+        };
+    }
+
+    /**
+     * One protocol account: liquidatable once debt exceeds threshold-weighted collateral
+     */
+    evaluateAccount({ protocol, market, positions }) {
+        const collateral = positions.filter(position => position.type === 'collateral');
+        const debt = positions.filter(position => position.type === 'debt');
+
+        const collateralValue = collateral.reduce((sum, position) => sum + position.value, 0);
+        const weightedCollateral = collateral.reduce((sum, position) => sum + position.value * position.liquidationThreshold, 0);
+        const debtValue = debt.reduce((sum, position) => sum + position.value, 0);
+        const healthFactor = toHealthFactor(weightedCollateral, debtValue);
+        const liquidatable = debtValue > 0 && healthFactor < 1;
+
+        let debtToCover = 0;
+        let collateralSeized = 0;
+        if (liquidatable) {
+            const rules = LIQUIDATION_RULES[protocol] || DEFAULT_RULES;
+            if (rules.absorb) {
+                debtToCover = debtValue;
+                collateralSeized = collateralValue;
+            } else {
+                const closeFactor = rules.fullCloseBelow !== undefined && healthFactor < rules.fullCloseBelow
+                    ? 1
+                    : rules.closeFactor;
+                const bonus = collateralValue > 0
+                    ? collateral.reduce((sum, position) =>
+                        sum + position.value * (position.liquidationBonus || rules.bonus), 0) / collateralValue
+                    : rules.bonus;
+                // Liquidators cannot seize more collateral than there is
+                debtToCover = Math.min(debtValue * closeFactor, collateralValue / bonus);
+                collateralSeized = debtToCover * bonus;
+            }
+        }
+
+        return {
+            protocol,
+            market: market || null,
+            healthFactor,
+            collateralValue,
+            debtValue,
+            weightedCollateral,
+            liquidatable,
+            debtToCover,
+            collateralSeized,
+            liquidationPrices: getLiquidationPrices(positions, weightedCollateral, debtValue)
+        };
+    }
+}
+
+/**
+ * Price of each asset at which the account's health factor reaches 1, all other prices
+ * held. Assets on both sides count on both; a net borrowed asset liquidates on the way up.
+ */
+function getLiquidationPrices(positions, weightedCollateral, debtValue) {
+    if (debtValue === 0) {
+        return [];
+    }
+
+    const bySymbol = new Map();
+    for (const position of positions) {
+        const key = position.symbol.toUpperCase();
+        if (!bySymbol.has(key)) {
+            bySymbol.set(key, { symbol: position.symbol, price: position.price, weightedBalance: 0, debtBalance: 0 });
+        }
+        const asset = bySymbol.get(key);
+        if (position.type === 'collateral') {
+            asset.weightedBalance += position.balance * position.liquidationThreshold;
+        } else {
+            asset.debtBalance += position.balance;
+        }
+    }
+
+    return [...bySymbol.values()].map(asset => {
+        // weightedCollateral + weightedBalance * (p - price) = debtValue + debtBalance * (p - price)
+        const sensitivity = asset.weightedBalance - asset.debtBalance;
+        const otherCollateral = weightedCollateral - asset.weightedBalance * asset.price;
+        const otherDebt = debtValue - asset.debtBalance * asset.price;
+        const liquidationPrice = sensitivity !== 0 ? (otherDebt - otherCollateral) / sensitivity : null;
+        // No exposure, or a price that would have to go negative: this asset alone cannot liquidate the account
+        const reachable = liquidationPrice !== null && liquidationPrice > 0;
+
+        return {
+            symbol: asset.symbol,
+            role: asset.weightedBalance > 0 && asset.debtBalance > 0
+                ? 'both'
+                : asset.weightedBalance > 0 ? 'collateral' : 'debt',
+            price: asset.price,
+            liquidationPrice: reachable ? liquidationPrice : null,
+            changePercent: reachable ? (liquidationPrice / asset.price - 1) * 100 : null,
+            direction: reachable ? (sensitivity > 0 ? 'down' : 'up') : null
+        };
+    });
+}
+
+/**
+ * Percent change for a symbol: exact symbol, then its asset group, then stablecoins, then `*`
+ */
+function getShock(shocks, symbol) {
+    const key = symbol.toUpperCase();
+    const normalized = Object.fromEntries(
+        Object.entries(shocks || {}).map(([name, change]) => [name.toUpperCase(), change])
+    );
+
+    if (normalized[key] !== undefined) {
+        return normalized[key];
+    }
+    for (const [group, members] of Object.entries(ASSET_GROUPS)) {
+        if (members.includes(key) && normalized[group] !== undefined) {
+            return normalized[group];
+        }
+    }
+    if (RiskAnalytics.isStablecoin(key) && normalized.STABLECOINS !== undefined) {
+        return normalized.STABLECOINS;
+    }
+    return normalized['*'] !== undefined ? normalized['*'] : 0;
+}
+
+/**
+ * Split positions into the accounts protocols liquidate separately: one per Comet market
+ */
+function groupByAccount(positions) {
+    const accounts = new Map();
+    for (const position of positions) {
+        const protocol = position.protocol || 'unknown';
+        const market = protocol === 'compound-v3' ? position.market : undefined;
+        const key = market ? `${protocol}:${market}` : protocol;
+        if (!accounts.has(key)) {
+            accounts.set(key, { protocol, market, positions: [] });
+        }
+        accounts.get(key).positions.push(position);
+    }
+    return [...accounts.values()];
+}
+
+function toHealthFactor(weightedCollateral, debtValue) {
+    return debtValue > 0 ? weightedCollateral / debtValue : Infinity;
+}
+
+function describeShocks(shocks) {
+    return Object.entries(shocks || {})
+        .map(([name, change]) => `${name} ${change > 0 ? '+' : ''}${change}%`)
+        .join(', ');
+}
+
+module.exports = StressTest;
@@ -0,0 +1,255 @@
+/**
+ * Token Discovery
+ * Finds the ERC20s a wallet has touched from its Transfer logs over a recent window,
+ * keeping a per-wallet cursor so repeat lookups only scan blocks mined since the last one
+ */
+
+const { ethers } = require('ethers');
+const ContractUtils = require('../utils/contract');
+const TokenRegistry = require('../utils/tokenRegistry');
+
+const MAX_LOG_RANGE = 500000;
+const MIN_LOG_RANGE = 1000;
+const DEFAULT_LOOKBACK_DAYS = 90;
+// Wallets whose cursors are kept; the least recently scanned is forgotten first
+const MAX_CURSORS = 1000;
+
+// Node errors for a getLogs query that spans too many blocks or returns too many logs
+const LOG_RANGE_PATTERN = /block range|range (is )?too (large|wide|big)|too many (results|logs|blocks)|more than \d+ (results|logs)|limit exceeded|response size/i;
+
+// Airdropped spam advertises itself in its name or symbol
+const SPAM_PATTERN = /https?:|www\.|\.(com|io|org|net|xyz|app)\b|claim|visit|reward|airdrop/i;
+
+class TokenDiscovery {
+    /**
+     * @param {ethers.providers.Provider} provider
+     * @param {Object} [options] - { startBlock, lookbackDays, tokenRegistry }. A wallet's first
+     *   scan starts `lookbackDays` ago (default TOKEN_DISCOVERY_LOOKBACK_DAYS or 90), never before `startBlock`
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.contractUtils = new ContractUtils(provider);
+        this.tokenRegistry = options.tokenRegistry || TokenRegistry.forProvider(provider);
+        this.startBlock = options.startBlock || 0;
+        this.lookbackDays = options.lookbackDays ||
+            parseFloat(process.env.TOKEN_DISCOVERY_LOOKBACK_DAYS) ||
+            DEFAULT_LOOKBACK_DAYS;
+        this.cursors = new Map();
+        this.pending = new Map();
+    }
+
+    /**
+     * Get every token a wallet has sent or received, with transfer counts.
+     * Only blocks after the wallet's cursor are scanned.
+     */
+    async discoverTokens(wallet) {
+        const key = wallet.toLowerCase();
+
+        // Concurrent lookups for one wallet share a single scan
+        if (!this.pending.has(key)) {
+            this.pending.set(key, this.scanWallet(wallet).finally(() => this.pending.delete(key)));
+        }
+        return this.pending.get(key);
+    }
+
+    /**
+     * Advance a wallet's cursor to the latest block, merging new transfers into its token activity
+     */
+    async scanWallet(wallet) {
+        const key = wallet.toLowerCase();
+        const cursor = this.cursors.get(key) || { scannedTo: await this.getFirstScanBlock() - 1, tokens: new Map() };
+        const latest = await this.provider.getBlockNumber();
+        const fromBlock = cursor.scannedTo + 1;
+
+        if (fromBlock <= latest) {
+            const walletTopic = ethers.utils.hexZeroPad(wallet, 32);
+            const [sent, received] = await Promise.all([
+                this.getLogs([TRANSFER_TOPIC, walletTopic], fromBlock, latest),
+                this.getLogs([TRANSFER_TOPIC, null, walletTopic], fromBlock, latest)
+            ]);
+
+            // ERC721 shares the Transfer topic but indexes tokenId, so it fails to decode and is skipped
+            const transfers = [
+                ...this.contractUtils.decodeEventLogs(TRANSFER_ABI, sent).map(log => ({ ...log, direction: 'sent' })),
+                ...this.contractUtils.decodeEventLogs(TRANSFER_ABI, received).map(log => ({ ...log, direction: 'received' }))
+            ];
+
+            for (const transfer of transfers) {
+                const address = ethers.utils.getAddress(transfer.address);
+                const activity = cursor.tokens.get(address) || {
+                    address,
+                    sent: 0,
+                    received: 0,
+                    zeroValue: 0,
+                    firstBlock: transfer.blockNumber,
+                    lastBlock: transfer.blockNumber
+                };
+                activity[transfer.direction]++;
+                if (transfer.args.value.isZero()) {
+                    activity.zeroValue++;
+                }
+                activity.firstBlock = Math.min(activity.firstBlock, transfer.blockNumber);
+                activity.lastBlock = Math.max(activity.lastBlock, transfer.blockNumber);
+                cursor.tokens.set(address, activity);
+            }
+
+            cursor.scannedTo = latest;
+        }
+
+        this.cursors.delete(key);
+        this.cursors.set(key, cursor);
+        if (this.cursors.size > MAX_CURSORS) {
+            this.cursors.delete(this.cursors.keys().next().value);
+        }
+
+        return {
+            wallet,
+            scannedFrom: fromBlock,
+            scannedTo: cursor.scannedTo,
+            tokens: Array.from(cursor.tokens.values())
+        };
+    }
+
+    /**
+     * First block of a wallet's first scan: `lookbackDays` ago, but not before `startBlock`
+     */
+    async getFirstScanBlock() {
+        const since = Math.floor(Date.now() / 1000) - this.lookbackDays * 86400;
+        const block = await this.contractUtils.getBlockFromTimestamp(since);
+        return Math.max(this.startBlock, block);
+    }
+
+    /**
+     * Get a wallet's non-zero balances for every discovered token, split into held and spam.
+     * Listed tokens are always checked, so holdings untouched since before the scan window still show.
+     */
+    async getWalletTokens(wallet) {
+        const discovery = await this.discoverTokens(wallet);
+        const candidates = [...discovery.tokens];
+        const discovered = new Set(candidates.map(activity => activity.address.toLowerCase()));
+        for (const token of this.tokenRegistry.getTokens()) {
+            if (!discovered.has(token.address.toLowerCase())) {
+                candidates.push({ address: ethers.utils.getAddress(token.address), sent: 0, received: 0, zeroValue: 0 });
+            }
+        }
+        const balances = await this.getBalances(wallet, candidates.map(token => token.address));
+
+        const held = candidates
+            .map((activity, index) => ({ activity, balance: balances[index] }))
+            .filter(({ balance }) => balance !== null && !balance.isZero());
+
+        const tokens = [];
+        const spam = [];
+
+        await Promise.all(held.map(async ({ activity, balance }) => {
+            let metadata = null;
+            try {
+                metadata = await this.tokenRegistry.getToken(activity.address);
+            } catch (error) {
+                // Contracts that do not implement ERC20 metadata are not worth listing
+            }
+
+            if (metadata === null || this.isSpam(metadata, activity)) {
+                spam.push(activity.address);
+                return;
+            }
+
+            tokens.push({
+                address: activity.address,
+                symbol: metadata.symbol,
+                name: metadata.name,
+                decimals: metadata.decimals,
+                listed: metadata.source !== 'onchain',
+                balance: parseFloat(ethers.utils.formatUnits(balance, metadata.decimals)),
+                rawBalance: balance.toString(),
+                activity
+            });
+        }));
+
+        return {
+            wallet,
+            scannedTo: discovery.scannedTo,
+            tokens,
+            spam
+        };
+    }
+
+    /**
+     * Read balanceOf for many tokens through Multicall3; tokens whose call reverts resolve to null
+     */
+    async getBalances(wallet, tokenAddresses) {
+        return this.contractUtils.batchCall(
+            tokenAddresses.map(address => ({
+                contract: this.contractUtils.getContract(address, TRANSFER_ABI),
+                method: 'balanceOf',
+                args: [wallet]
+            })),
+            { allowFailure: true }
+        );
+    }
+
+    /**
+     * Listed tokens are trusted; unlisted ones are spam if they advertise a URL or claim
+     * in their name, or if every transfer the wallet saw moved zero tokens (address poisoning)
+     */
+    isSpam(token, activity) {
+        if (token.source !== 'onchain') {
+            return false;
+        }
+        if (SPAM_PATTERN.test(token.symbol) || SPAM_PATTERN.test(token.name || '')) {
+            return true;
+        }
+        return activity.zeroValue === activity.sent + activity.received;
+    }
+
+    /**
+     * Whether a token only ever arrived in the wallet, never left it; on its own this is
+     * normal for a real holding, so callers combine it with having no market price
+     */
+    isAirdrop(activity) {
+        return activity.sent === 0 && activity.received > 0;
+    }
+
+    /**
+     * Fetch logs over a block range, halving the range whenever the node rejects it as too
+     * large or too many results; any other error is thrown
+     */
+    async getLogs(topics, fromBlock, toBlock, range = MAX_LOG_RANGE) {
+        const logs = [];
+        for (let start = fromBlock; start <= toBlock; start += range) {
+            const end = Math.min(start + range - 1, toBlock);
+            try {
+                logs.push(...await this.provider.getLogs({ topics, fromBlock: start, toBlock: end }));
+            } catch (error) {
+                if (!isRangeError(error) || end - start + 1 <= MIN_LOG_RANGE) {
+                    throw error;
+                }
+                logs.push(...await this.getLogs(topics, start, end, Math.ceil((end - start + 1) / 2)));
+            }
+        }
+        return logs;
+    }
+
+    /**
+     * Cursor state for a wallet
+     */
+    getCursor(wallet) {
+        const cursor = this.cursors.get(wallet.toLowerCase());
+        return cursor ? { scannedTo: cursor.scannedTo, tokens: cursor.tokens.size } : null;
+    }
+}
+
+// Minimal ERC20 ABI for Transfer decoding and balances
+const TRANSFER_ABI = [
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'function balanceOf(address owner) view returns (uint256)'
+];
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+function isRangeError(error) {
+    const rpcError = error.error || {};
+    return [error.message, error.body, rpcError.message].some(text => LOG_RANGE_PATTERN.test(text || ''));
+}
+
+module.exports = TokenDiscovery;
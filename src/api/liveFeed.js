@@ -0,0 +1,526 @@
+/**
+ * Live Feed
+ * WebSocket server streaming prices, pool swaps, new blocks, gas and portfolio values.
+ *
+ * Clients send JSON messages:
+ *   { "type": "subscribe", "channel": "price:ETH" }
+ *   { "type": "subscribe", "channel": "pool:0x88e6...", "chain": "arbitrum" }
+ *   { "type": "unsubscribe", "channel": "price:ETH" }
+ *   { "type": "ping" }
+ * and receive { "type": "data", "channel", "chain", "data", "timestamp" } for each update.
+ */
+
+const WebSocket = require('ws');
+const { ethers } = require('ethers');
+const ChainRegistry = require('../utils/chains');
+
+const DEFAULT_OPTIONS = {
+    heartbeatMs: 30000,
+    priceIntervalMs: 10000,
+    portfolioIntervalMs: 60000,
+    maxSubscriptions: 50,
+    maxConnections: 1000,
+    // Topics across all clients; portfolio topics each run a full portfolio overview per poll
+    maxTopics: 500,
+    maxPortfolioTopics: 20,
+    // Largest message a client may send
+    maxPayload: 64 * 1024,
+    // Past the soft limit of unsent data a client misses state updates, or is disconnected
+    // if the update is an event; past the hard limit it is disconnected regardless
+    softBufferLimit: 1024 * 1024,
+    hardBufferLimit: 8 * 1024 * 1024
+};
+
+// Channels that read chain state; price channels are chain-agnostic
+const CHAIN_CHANNELS = ['pool', 'gas', 'blocks', 'portfolio'];
+
+// Channels whose updates are discrete events (each swap, each block) rather than the latest state
+const EVENT_CHANNELS = ['pool', 'blocks'];
+
+// Close code for a client that cannot keep up or a server at capacity (RFC 6455 "try again later")
+const CLOSE_TRY_AGAIN_LATER = 1013;
+
+class LiveFeed {
+    /**
+     * @param {Object} services - { priceOracle, getChainServices(chain) }
+     * @param {Object} [options] - see DEFAULT_OPTIONS
+     */
+    constructor({ priceOracle, getChainServices }, options = {}) {
+        this.priceOracle = priceOracle;
+        this.getChainServices = getChainServices;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.server = null;
+        this.heartbeat = null;
+        this.clients = new Set();
+        // Topic key -> { channel, chain, subscribers: Set, stop }
+        this.topics = new Map();
+        // Chain key -> { listener, handlers: Set } shared by the gas and blocks topics
+        this.blockListeners = new Map();
+        this.stats = { messagesSent: 0, messagesDropped: 0, slowDisconnects: 0 };
+    }
+
+    /**
+     * Start listening; `target` is a port number or an existing http.Server to share
+     */
+    start(target) {
+        const { maxPayload } = this.options;
+        this.server = typeof target === 'number'
+            ? new WebSocket.Server({ port: target, maxPayload })
+            : new WebSocket.Server({ server: target, maxPayload });
+
+        this.server.on('connection', socket => this.handleConnection(socket));
+        this.heartbeat = setInterval(() => this.checkHeartbeats(), this.options.heartbeatMs);
+        return this.server;
+    }
+
+    async stop() {
+        clearInterval(this.heartbeat);
+        for (const key of Array.from(this.topics.keys())) {
+            this.stopTopic(key);
+        }
+        for (const client of this.clients) {
+            client.socket.terminate();
+        }
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    handleConnection(socket) {
+        if (this.clients.size >= this.options.maxConnections) {
+            socket.close(CLOSE_TRY_AGAIN_LATER, 'Too many connections');
+            return;
+        }
+
+        const client = { socket, alive: true, topics: new Set(), dropped: 0 };
+        this.clients.add(client);
+
+        socket.on('pong', () => {
+            client.alive = true;
+        });
+        socket.on('message', raw => this.handleMessage(client, raw).catch(error => {
+            console.error('Live feed message handler failed:', error.message);
+            this.send(client, { type: 'error', error: 'Could not handle message' });
+        }));
+        socket.on('close', () => this.removeClient(client));
+        socket.on('error', error => console.error('WebSocket client error:', error.message));
+
+        this.send(client, { type: 'welcome', heartbeatMs: this.options.heartbeatMs });
+    }
+
+    async handleMessage(client, raw) {
+        client.alive = true;
+
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            return this.send(client, { type: 'error', error: 'Messages must be JSON' });
+        }
+        if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+            return this.send(client, { type: 'error', error: 'Messages must be JSON objects' });
+        }
+
+        switch (message.type) {
+            case 'subscribe':
+                return this.subscribe(client, message.channel, message.chain);
+            case 'unsubscribe':
+                return this.unsubscribe(client, message.channel, message.chain);
+            case 'ping':
+                return this.send(client, { type: 'pong', timestamp: Date.now() });
+            default:
+                return this.send(client, { type: 'error', error: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    async subscribe(client, channel, chainParam) {
+        let topic;
+        try {
+            topic = this.parseChannel(channel, chainParam);
+        } catch (error) {
+            return this.send(client, { type: 'error', channel, error: error.message });
+        }
+
+        if (client.topics.has(topic.key)) {
+            return this.send(client, { type: 'subscribed', channel: topic.channel, chain: topic.chain });
+        }
+        if (client.topics.size >= this.options.maxSubscriptions) {
+            return this.send(client, {
+                type: 'error',
+                channel,
+                error: `At most ${this.options.maxSubscriptions} subscriptions per connection`
+            });
+        }
+        const capacityError = this.checkTopicCapacity(topic);
+        if (capacityError) {
+            return this.send(client, { type: 'error', channel: topic.channel, error: capacityError });
+        }
+
+        client.topics.add(topic.key);
+        try {
+            await this.joinTopic(topic, client);
+        } catch (error) {
+            client.topics.delete(topic.key);
+            return this.send(client, { type: 'error', channel: topic.channel, error: error.message });
+        }
+        this.send(client, { type: 'subscribed', channel: topic.channel, chain: topic.chain });
+    }
+
+    unsubscribe(client, channel, chainParam) {
+        let topic;
+        try {
+            topic = this.parseChannel(channel, chainParam);
+        } catch (error) {
+            return this.send(client, { type: 'error', channel, error: error.message });
+        }
+
+        if (client.topics.delete(topic.key)) {
+            this.leaveTopic(topic.key, client);
+        }
+        this.send(client, { type: 'unsubscribed', channel: topic.channel, chain: topic.chain });
+    }
+
+    /**
+     * Validate a channel name and resolve its chain; throws on anything malformed
+     */
+    parseChannel(channel, chainParam) {
+        if (typeof channel !== 'string') {
+            throw new Error('channel is required');
+        }
+
+        const separator = channel.indexOf(':');
+        const kind = separator === -1 ? channel : channel.slice(0, separator);
+        const argument = separator === -1 ? null : channel.slice(separator + 1);
+
+        if (kind === 'price') {
+            if (!argument || !/^[A-Za-z0-9.]{1,20}$/.test(argument)) {
+                throw new Error('price channels take a token symbol, e.g. price:ETH');
+            }
+            const symbol = argument.toUpperCase();
+            return { key: `price:${symbol}`, kind, channel: `price:${symbol}`, argument: symbol, chain: null };
+        }
+
+        if (!CHAIN_CHANNELS.includes(kind)) {
+            throw new Error(`Unknown channel: ${channel}`);
+        }
+
+        const chain = ChainRegistry.getChain(chainParam || 'ethereum');
+        if (!chain) {
+            throw new Error(`Unsupported chain: ${chainParam}`);
+        }
+        if (ChainRegistry.getRpcUrls(chain).length === 0) {
+            throw new Error(`No RPC URL configured for ${chain.name}`);
+        }
+
+        if (kind === 'gas' || kind === 'blocks') {
+            if (argument !== null) {
+                throw new Error(`${kind} takes no argument`);
+            }
+            return { key: `${chain.key}/${kind}`, kind, channel: kind, argument: null, chain: chain.key };
+        }
+
+        if (!argument || !ethers.utils.isAddress(argument)) {
+            throw new Error(`${kind} channels take an address, e.g. ${kind}:0x...`);
+        }
+        const address = ethers.utils.getAddress(argument);
+        return {
+            key: `${chain.key}/${kind}:${address.toLowerCase()}`,
+            kind,
+            channel: `${kind}:${address}`,
+            argument: address,
+            chain: chain.key
+        };
+    }
+
+    /**
+     * Error message when a new topic would exceed the server's topic limits, or null;
+     * joining a topic that is already running is always allowed
+     */
+    checkTopicCapacity(topic) {
+        if (this.topics.has(topic.key)) {
+            return null;
+        }
+        if (this.topics.size >= this.options.maxTopics) {
+            return 'The server is at its topic limit; try again later';
+        }
+        if (topic.kind === 'portfolio') {
+            const portfolios = Array.from(this.topics.values()).filter(state => state.kind === 'portfolio').length;
+            if (portfolios >= this.options.maxPortfolioTopics) {
+                return 'The server is at its portfolio topic limit; try again later';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Add a client to a topic, starting the topic's data source for its first subscriber
+     */
+    async joinTopic(topic, client) {
+        if (!this.topics.has(topic.key)) {
+            const state = { ...topic, subscribers: new Set(), stop: null, starting: null };
+            this.topics.set(topic.key, state);
+            state.starting = this.startTopic(state)
+                .then(stop => {
+                    state.stop = stop;
+                })
+                .catch(error => {
+                    // The topic may have been stopped and replaced under the same key meanwhile
+                    if (this.topics.get(topic.key) === state) {
+                        this.topics.delete(topic.key);
+                    }
+                    throw error;
+                });
+        }
+
+        const state = this.topics.get(topic.key);
+        state.subscribers.add(client);
+        try {
+            await state.starting;
+        } catch (error) {
+            state.subscribers.delete(client);
+            throw error;
+        }
+    }
+
+    leaveTopic(key, client) {
+        const state = this.topics.get(key);
+        if (!state) {
+            return;
+        }
+        state.subscribers.delete(client);
+        if (state.subscribers.size === 0) {
+            this.stopTopic(key);
+        }
+    }
+
+    stopTopic(key) {
+        const state = this.topics.get(key);
+        this.topics.delete(key);
+        if (!state) {
+            return;
+        }
+        // A topic still starting is stopped once its source is up
+        state.starting.then(() => state.stop && state.stop()).catch(() => {});
+    }
+
+    /**
+     * Start the data source behind a topic. Resolves to a function that stops it.
+     */
+    async startTopic(topic) {
+        const publish = data => this.publish(topic.key, data);
+
+        switch (topic.kind) {
+            case 'price':
+                return this.startPolling(topic, this.options.priceIntervalMs, async () => {
+                    const price = await this.priceOracle.getPrice(topic.argument);
+                    return { symbol: topic.argument, ...price };
+                }, (previous, next) => !previous || previous.usd !== next.usd);
+
+            case 'portfolio': {
+                const { portfolioAnalytics } = this.getChainServices(ChainRegistry.getChain(topic.chain));
+                return this.startPolling(topic, this.options.portfolioIntervalMs,
+                    () => portfolioAnalytics.getPortfolioOverview(topic.argument),
+                    (previous, next) => !previous || previous.totalValue !== next.totalValue);
+            }
+
+            case 'pool': {
+                const { uniswapAnalytics } = this.getChainServices(ChainRegistry.getChain(topic.chain));
+                return uniswapAnalytics.watchSwaps(topic.argument, publish);
+            }
+
+            case 'blocks':
+                return this.onBlock(topic.chain, async (blockNumber, services) => {
+                    const block = await services.provider.getBlock(blockNumber);
+                    publish({
+                        number: block.number,
+                        hash: block.hash,
+                        timestamp: block.timestamp,
+                        transactions: block.transactions.length,
+                        gasUsed: block.gasUsed.toString(),
+                        baseFeePerGas: block.baseFeePerGas
+                            ? ethers.utils.formatUnits(block.baseFeePerGas, 'gwei')
+                            : null
+                    });
+                });
+
+            case 'gas':
+                return this.onBlock(topic.chain, async (blockNumber, services) => {
+                    const gasPrice = await services.contractUtils.getGasPrice();
+                    publish({ blockNumber, ...gasPrice });
+                });
+
+            default:
+                throw new Error(`Unknown channel kind: ${topic.kind}`);
+        }
+    }
+
+    /**
+     * Poll `fetch` immediately and then on an interval, publishing when `changed` says so.
+     * A failed poll is reported to subscribers and retried on the next tick.
+     */
+    async startPolling(topic, intervalMs, fetch, changed) {
+        let previous = null;
+        let polling = false;
+
+        const poll = async () => {
+            if (polling) {
+                return;
+            }
+            polling = true;
+            try {
+                const next = await fetch();
+                if (changed(previous, next)) {
+                    previous = next;
+                    this.publish(topic.key, next);
+                }
+            } catch (error) {
+                this.publishError(topic.key, error.message);
+            } finally {
+                polling = false;
+            }
+        };
+
+        // The first value decides whether the channel is valid at all
+        const first = await fetch();
+        previous = first;
+        setImmediate(() => this.publish(topic.key, first));
+
+        const timer = setInterval(poll, intervalMs);
+        return () => clearInterval(timer);
+    }
+
+    /**
+     * Run `handler` on each new block of a chain; one provider listener per chain
+     * is shared by every block-driven topic
+     */
+    onBlock(chainKey, handler) {
+        const services = this.getChainServices(ChainRegistry.getChain(chainKey));
+
+        if (!this.blockListeners.has(chainKey)) {
+            const handlers = new Set();
+            const listener = blockNumber => {
+                for (const run of handlers) {
+                    run(blockNumber, services).catch(error =>
+                        console.error(`Live feed block handler failed on ${chainKey}:`, error.message));
+                }
+            };
+            services.provider.on('block', listener);
+            this.blockListeners.set(chainKey, { listener, handlers });
+        }
+
+        const { listener, handlers } = this.blockListeners.get(chainKey);
+        handlers.add(handler);
+
+        return () => {
+            handlers.delete(handler);
+            if (handlers.size === 0) {
+                services.provider.off('block', listener);
+                this.blockListeners.delete(chainKey);
+            }
+        };
+    }
+
+    publish(key, data) {
+        const topic = this.topics.get(key);
+        if (!topic) {
+            return;
+        }
+        const message = { type: 'data', channel: topic.channel, chain: topic.chain, data, timestamp: Date.now() };
+        const droppable = !EVENT_CHANNELS.includes(topic.kind);
+        for (const client of topic.subscribers) {
+            this.send(client, message, droppable);
+        }
+    }
+
+    publishError(key, error) {
+        const topic = this.topics.get(key);
+        if (!topic) {
+            return;
+        }
+        for (const client of topic.subscribers) {
+            this.send(client, { type: 'error', channel: topic.channel, chain: topic.chain, error });
+        }
+    }
+
+    /**
+     * Send to one client, applying backpressure. While the socket has more than the soft
+     * limit unsent, `droppable` updates are skipped (each carries the latest state, so the
+     * next one catches the client up) and an event update disconnects the client rather
+     * than leave a gap; past the hard limit the client is disconnected.
+     */
+    send(client, message, droppable = false) {
+        const { socket } = client;
+        if (socket.readyState !== WebSocket.OPEN) {
+            return;
+        }
+
+        if (socket.bufferedAmount > this.options.hardBufferLimit) {
+            return this.disconnectSlow(client);
+        }
+        if (message.type === 'data' && socket.bufferedAmount > this.options.softBufferLimit) {
+            if (!droppable) {
+                return this.disconnectSlow(client);
+            }
+            client.dropped++;
+            this.stats.messagesDropped++;
+            return;
+        }
+
+        // Tell the client how many updates it missed once it has caught up
+        if (message.type === 'data' && client.dropped > 0) {
+            message = { ...message, dropped: client.dropped };
+            client.dropped = 0;
+        }
+
+        socket.send(JSON.stringify(message));
+        this.stats.messagesSent++;
+    }
+
+    disconnectSlow(client) {
+        this.stats.slowDisconnects++;
+        client.socket.close(CLOSE_TRY_AGAIN_LATER, 'Client is not keeping up');
+    }
+
+    /**
+     * Terminate clients that did not answer the previous ping, then ping the rest
+     */
+    checkHeartbeats() {
+        for (const client of this.clients) {
+            if (!client.alive) {
+                client.socket.terminate();
+                this.removeClient(client);
+                continue;
+            }
+            client.alive = false;
+            client.socket.ping();
+        }
+    }
+
+    removeClient(client) {
+        if (!this.clients.delete(client)) {
+            return;
+        }
+        for (const key of client.topics) {
+            this.leaveTopic(key, client);
+        }
+        client.topics.clear();
+    }
+
+    /**
+     * Connected clients, active topics and delivery counters
+     */
+    getStats() {
+        return {
+            clients: this.clients.size,
+            topics: Array.from(this.topics.values()).map(topic => ({
+                channel: topic.channel,
+                chain: topic.chain,
+                subscribers: topic.subscribers.size
+            })),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = LiveFeed;
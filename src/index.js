@@ -8,47 +8,149 @@ dotenv.config();
 
 // Import services
 const UniswapAnalytics = require('./protocols/uniswap');
+const CurveAnalytics = require('./protocols/curve');
+const BalancerAnalytics = require('./protocols/balancer');
 const PortfolioAnalytics = require('./analytics/portfolio');
+const PortfolioHistory = require('./analytics/portfolioHistory');
+const AlertEngine = require('./analytics/alertEngine');
+const ImpermanentLossAnalytics = require('./analytics/impermanentLoss');
+const RiskAnalytics = require('./analytics/risk');
+const StressTest = require('./analytics/stressTest');
 const PriceOracle = require('./utils/priceOracle');
 const ContractUtils = require('./utils/contract');
+const ChainRegistry = require('./utils/chains');
+const Database = require('./utils/database');
+const LiveFeed = require('./api/liveFeed');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
+const WS_PORT = parseInt(process.env.WS_PORT, 10) || 3001;
+// Longest APY window; each request scans the pool's Swap logs over the whole window
+const MAX_APY_WINDOW_SECONDS = 30 * 86400;
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Initialize provider
-const provider = new ethers.providers.JsonRpcProvider(
-    process.env.ETHEREUM_RPC_URL || 'https://mainnet.infura.io/v3/YOUR_PROJECT_ID'
+// Initialize services
+// Prices are chain-agnostic; the oracle reads Chainlink and Uniswap TWAPs on Ethereum
+const priceOracle = new PriceOracle(ChainRegistry.getProvider('ethereum'));
+const chainServices = new Map();
+
+/**
+ * Per-chain services, created on first use
+ */
+function getChainServices(chain) {
+    if (!chainServices.has(chain.key)) {
+        const provider = ChainRegistry.getProvider(chain.key);
+        const portfolioAnalytics = new PortfolioAnalytics(provider, priceOracle, chain.chainId);
+        const uniswapAnalytics = new UniswapAnalytics(provider, priceOracle, chain.chainId);
+        chainServices.set(chain.key, {
+            chain,
+            provider,
+            contractUtils: new ContractUtils(provider),
+            uniswapAnalytics,
+            curveAnalytics: new CurveAnalytics(provider, chain.chainId),
+            balancerAnalytics: new BalancerAnalytics(provider, chain.chainId),
+            portfolioAnalytics,
+            stressTest: new StressTest(portfolioAnalytics),
+            ilAnalytics: new ImpermanentLossAnalytics(provider, priceOracle, uniswapAnalytics)
+        });
+    }
+    return chainServices.get(chain.key);
+}
+
+// Snapshots of tracked wallets; other chains are reached through the Ethereum portfolio's forChain
+const portfolioHistory = new PortfolioHistory(
+    getChainServices(ChainRegistry.getChain('ethereum')).portfolioAnalytics
 );
 
-// Initialize services
-const priceOracle = new PriceOracle();
-const contractUtils = new ContractUtils(provider);
-const uniswapAnalytics = new UniswapAnalytics(provider);
-const portfolioAnalytics = new PortfolioAnalytics(provider, priceOracle);
+// Streams prices, swaps, blocks, gas and portfolios over WebSocket
+const liveFeed = new LiveFeed({ priceOracle, getChainServices });
+
+const riskEnabled = process.env.ENABLE_RISK_ANALYSIS !== 'false';
+const riskAnalytics = new RiskAnalytics(priceOracle);
+
+const alertsEnabled = process.env.ENABLE_PRICE_ALERTS !== 'false';
+const alertEngine = new AlertEngine({ priceOracle, getChainServices });
+
+/**
+ * Resolve `?chain=` (key or chain id, default ethereum) to that chain's services on `req.services`.
+ * `chain=all` is only meaningful for the portfolio overview, history and risk, which aggregate every configured chain.
+ */
+function resolveChain(req, res, next) {
+    const { chain: chainParam = 'ethereum' } = req.query;
+
+    if (chainParam === 'all') {
+        if (!/^\/portfolio\/[^/]+(\/(history|track|risk))?$/.test(req.path)) {
+            return res.status(400).json({ error: 'chain=all is only supported for the portfolio overview, history and risk' });
+        }
+        req.allChains = true;
+        req.services = getChainServices(ChainRegistry.getChain('ethereum'));
+        return next();
+    }
+
+    const chain = ChainRegistry.getChain(chainParam);
+    if (!chain) {
+        return res.status(400).json({ error: `Unsupported chain: ${chainParam}` });
+    }
+    if (ChainRegistry.getRpcUrls(chain).length === 0) {
+        return res.status(400).json({ error: `No RPC URL configured for ${chain.name}` });
+    }
+
+    req.services = getChainServices(chain);
+    next();
+}
+
+app.use('/api', resolveChain);
+
+/**
+ * Resolve a Uniswap V3 pool from route params: either `address` or `token0/token1/fee`.
+ * Returns null when the params are not valid addresses/fee.
+ */
+async function resolveUniswapPool(uniswapAnalytics, params) {
+    const { address, token0, token1, fee } = params;
+
+    if (address !== undefined) {
+        return ethers.utils.isAddress(address) ? uniswapAnalytics.resolvePoolAddress({ address }) : null;
+    }
+    if (!ethers.utils.isAddress(token0) || !ethers.utils.isAddress(token1) || isNaN(parseInt(fee))) {
+        return null;
+    }
+    return uniswapAnalytics.resolvePoolAddress({ token0, token1, fee });
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
+    const rpc = ChainRegistry.getRpcHealth();
+    const degraded = Object.values(rpc).some(chain => !chain.healthy);
+
     res.json({
-        status: 'healthy',
+        status: degraded ? 'degraded' : 'healthy',
         timestamp: new Date().toISOString(),
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        database: Database.isConnected() ? 'connected' : 'disconnected',
+        websocket: liveFeed.server ? liveFeed.getStats() : null,
+        rpc
     });
 });
 
 // API Routes
 
 /**
- * Get token price
+ * Get token price (optionally from a single source: coingecko, chainlink or uniswap)
  */
 app.get('/api/price/:symbol', async (req, res) => {
     try {
         const { symbol } = req.params;
-        const price = await priceOracle.getPrice(symbol);
+        const { source } = req.query;
+
+        if (source !== undefined && !Object.prototype.hasOwnProperty.call(priceOracle.sources, source)) {
+            return res.status(400).json({ error: `Unknown price source: ${source}` });
+        }
+
+        const price = await priceOracle.getPrice(symbol, { source });
         res.json({ symbol, ...price });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -70,12 +172,174 @@ app.get('/api/price/:symbol/history', async (req, res) => {
 });
 
 /**
- * Get Uniswap pool information
+ * Get Uniswap pool information with TVL (pool address or token0/token1/fee)
+ */
+app.get(['/api/uniswap/pool/:address', '/api/uniswap/pool/:token0/:token1/:fee'], async (req, res) => {
+    try {
+        const poolAddress = await resolveUniswapPool(req.services.uniswapAnalytics, req.params);
+
+        if (!poolAddress) {
+            return res.status(400).json({ error: 'Invalid pool address or token pair' });
+        }
+
+        const uniswap = req.services.uniswapAnalytics;
+        const poolInfo = await uniswap.getPoolInfoByAddress(poolAddress);
+        const tvl = await uniswap.getPoolTVL(poolAddress, ...poolInfo.tokens, poolInfo.blockNumber);
+        res.json({ ...poolInfo, tvl });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get Uniswap V3 liquidity distribution and depth chart (pool address or token0/token1/fee)
+ */
+app.get(['/api/uniswap/pool/:address/liquidity', '/api/uniswap/pool/:token0/:token1/:fee/liquidity'], async (req, res) => {
+    try {
+        const poolAddress = await resolveUniswapPool(req.services.uniswapAnalytics, req.params);
+        const { range = 10 } = req.query;
+
+        if (!poolAddress) {
+            return res.status(400).json({ error: 'Invalid pool address or token pair' });
+        }
+
+        const distribution = await req.services.uniswapAnalytics.getLiquidityDistribution(poolAddress, parseFloat(range));
+        res.json(distribution);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Quote a swap through the best Uniswap V3 route
+ */
+app.get('/api/quote', async (req, res) => {
+    try {
+        const { tokenIn, tokenOut, amount, maxHops = 3 } = req.query;
+
+        if (!ethers.utils.isAddress(tokenIn) || !ethers.utils.isAddress(tokenOut)) {
+            return res.status(400).json({ error: 'Invalid token address' });
+        }
+        if (!/^\d+(\.\d+)?$/.test(amount || '') || !(parseFloat(amount) > 0)) {
+            return res.status(400).json({ error: 'Amount must be a positive decimal number' });
+        }
+        const hops = Number(maxHops);
+        if (![1, 2, 3].includes(hops)) {
+            return res.status(400).json({ error: 'maxHops must be 1, 2 or 3' });
+        }
+
+        const inToken = await req.services.uniswapAnalytics.getToken(tokenIn);
+        const fraction = amount.split('.')[1] || '';
+        if (fraction.length > inToken.decimals) {
+            return res.status(400).json({ error: `Amount has more than ${inToken.decimals} decimals for ${inToken.symbol}` });
+        }
+
+        const quote = await req.services.uniswapAnalytics.getQuote(tokenIn, tokenOut, amount, {
+            maxHops: hops
+        });
+        res.json(quote);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get Uniswap V2 pair information, with impermanent loss since `fromBlock` when given
+ */
+app.get('/api/uniswap/v2/pair/:token0/:token1', async (req, res) => {
+    try {
+        const { token0, token1 } = req.params;
+        const { fromBlock } = req.query;
+
+        if (!ethers.utils.isAddress(token0) || !ethers.utils.isAddress(token1)) {
+            return res.status(400).json({ error: 'Invalid token address' });
+        }
+
+        const pairInfo = await req.services.uniswapAnalytics.getPairInfo(token0, token1);
+        const impermanentLoss = fromBlock
+            ? await req.services.uniswapAnalytics.calculateV2ImpermanentLoss(token0, token1, parseInt(fromBlock))
+            : null;
+
+        res.json({ ...pairInfo, impermanentLoss });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get Curve pool information
+ */
+app.get('/api/curve/pool/:address', async (req, res) => {
+    try {
+        const { address } = req.params;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid pool address' });
+        }
+
+        const poolInfo = await req.services.curveAnalytics.getPoolInfo(address);
+        res.json(poolInfo);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Quote a Curve swap (get_dy)
+ */
+app.get('/api/curve/pool/:address/quote', async (req, res) => {
+    try {
+        const { address } = req.params;
+        const { i, j, amount } = req.query;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid pool address' });
+        }
+        if (!/^\d+$/.test(i) || !/^\d+$/.test(j) || Number(i) === Number(j)) {
+            return res.status(400).json({ error: 'i and j must be distinct non-negative coin indexes' });
+        }
+        // Amounts are in token units, so a fractional amount is a valid quote
+        if (!/^\d+(\.\d+)?$/.test(amount) || !(parseFloat(amount) > 0)) {
+            return res.status(400).json({ error: 'amount must be a positive number' });
+        }
+
+        const quote = await req.services.curveAnalytics.getQuote(address, Number(i), Number(j), amount);
+        res.json(quote);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get Curve stableswap pool imbalance and depeg
+ */
+app.get('/api/curve/pool/:address/imbalance', async (req, res) => {
+    try {
+        const { address } = req.params;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid pool address' });
+        }
+
+        const imbalance = await req.services.curveAnalytics.getImbalance(address);
+        res.json(imbalance);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get Balancer pool information (pool address or pool id)
  */
-app.get('/api/uniswap/pool/:token0/:token1/:fee', async (req, res) => {
+app.get('/api/balancer/pool/:pool', async (req, res) => {
     try {
-        const { token0, token1, fee } = req.params;
-        const poolInfo = await uniswapAnalytics.getPoolInfo(token0, token1, parseInt(fee));
+        const { pool } = req.params;
+
+        if (!ethers.utils.isAddress(pool) && !ethers.utils.isHexString(pool, 32)) {
+            return res.status(400).json({ error: 'Invalid pool address or pool id' });
+        }
+
+        const poolInfo = await req.services.balancerAnalytics.getPoolInfo(pool);
         res.json(poolInfo);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -93,13 +357,324 @@ app.get('/api/portfolio/:address', async (req, res) => {
             return res.status(400).json({ error: 'Invalid Ethereum address' });
         }
         
-        const portfolio = await portfolioAnalytics.getPortfolioOverview(address);
+        const portfolio = await req.services.portfolioAnalytics.getPortfolioOverview(address, {
+            allChains: Boolean(req.allChains)
+        });
         res.json(portfolio);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+/**
+ * Get every ERC20 a wallet holds, discovered from its Transfer logs (spam listed separately)
+ */
+app.get('/api/portfolio/:address/tokens', async (req, res) => {
+    try {
+        const { address } = req.params;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid Ethereum address' });
+        }
+
+        const tokens = await req.services.portfolioAnalytics.tokenDiscovery.getWalletTokens(address);
+        res.json(tokens);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Portfolio history needs MongoDB; answer 503 while it is not connected
+ */
+function requireDatabase(req, res, next) {
+    if (!Database.isConnected()) {
+        return res.status(503).json({ error: 'Portfolio history is unavailable (MongoDB not connected)' });
+    }
+    next();
+}
+
+/**
+ * Chain key history is stored under: the requested chain, or 'all'
+ */
+function getHistoryChain(req) {
+    return req.allChains ? 'all' : req.services.chain.key;
+}
+
+/**
+ * Start snapshotting a wallet's portfolio on a schedule; takes the first snapshot immediately
+ */
+app.post('/api/portfolio/:address/track', requireDatabase, async (req, res) => {
+    try {
+        const { address } = req.params;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid Ethereum address' });
+        }
+
+        const { wallet, snapshot } = await portfolioHistory.track(address, getHistoryChain(req));
+        res.status(201).json({
+            address: wallet.address,
+            chain: wallet.chain,
+            intervalMinutes: portfolioHistory.intervalMinutes,
+            lastSnapshotAt: wallet.lastSnapshotAt || null,
+            lastError: wallet.lastError || null,
+            totalValue: snapshot ? snapshot.totalValue : null
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Stop snapshotting a wallet; stored history is kept
+ */
+app.delete('/api/portfolio/:address/track', requireDatabase, async (req, res) => {
+    try {
+        const { address } = req.params;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid Ethereum address' });
+        }
+
+        const untracked = await portfolioHistory.untrack(address, getHistoryChain(req));
+        if (!untracked) {
+            return res.status(404).json({ error: 'Address is not tracked on this chain' });
+        }
+        res.json({ address, chain: getHistoryChain(req), tracked: false });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Portfolio value over time from stored snapshots, with PnL, max drawdown and time-weighted return.
+ * `from` and `to` are unix timestamps (seconds).
+ */
+app.get('/api/portfolio/:address/history', requireDatabase, async (req, res) => {
+    try {
+        const { address } = req.params;
+        const { from, to } = req.query;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid Ethereum address' });
+        }
+
+        const range = {};
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value === undefined) {
+                continue;
+            }
+            const seconds = Number(value);
+            if (!Number.isInteger(seconds) || seconds < 0) {
+                return res.status(400).json({ error: `${name} must be a unix timestamp in seconds` });
+            }
+            range[name] = new Date(seconds * 1000);
+        }
+
+        const history = await portfolioHistory.getHistory(address, getHistoryChain(req), range);
+        res.json(history);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Market risk of a portfolio (volatility, correlation, VaR/CVaR, concentration, stablecoin share)
+ * over the last `days` of prices, alongside the lending health factor
+ */
+app.get('/api/portfolio/:address/risk', async (req, res) => {
+    try {
+        const { address } = req.params;
+        const { days } = req.query;
+
+        if (!riskEnabled) {
+            return res.status(503).json({ error: 'Risk analysis is disabled (ENABLE_RISK_ANALYSIS=false)' });
+        }
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid Ethereum address' });
+        }
+        if (days !== undefined && !(Number.isInteger(Number(days)) && Number(days) >= 2 && Number(days) <= 365)) {
+            return res.status(400).json({ error: 'days must be an integer between 2 and 365' });
+        }
+
+        const chain = getHistoryChain(req);
+        const snapshot = await portfolioHistory.buildSnapshot(address, chain);
+        const marketRisk = await riskAnalytics.analyze(snapshot.holdings, days !== undefined ? { days: Number(days) } : {});
+
+        res.json({
+            address,
+            chain,
+            totalValue: snapshot.totalValue,
+            lending: snapshot.riskMetrics,
+            ...marketRisk
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Stress a wallet's lending positions under price shocks: { scenarios: [{ name, shocks: { ETH: -30, stablecoins: -5 } }] }.
+ * Pass `positions` to stress hypothetical collateral/debt positions instead of the wallet's.
+ */
+app.post('/api/portfolio/:address/stress', async (req, res) => {
+    try {
+        const { address } = req.params;
+        const { scenarios, positions } = req.body || {};
+
+        if (!riskEnabled) {
+            return res.status(503).json({ error: 'Risk analysis is disabled (ENABLE_RISK_ANALYSIS=false)' });
+        }
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid Ethereum address' });
+        }
+
+        const scenarioError = validateStressScenarios(scenarios);
+        if (scenarioError) {
+            return res.status(400).json({ error: scenarioError });
+        }
+        const positionError = positions !== undefined ? validateStressPositions(positions) : null;
+        if (positionError) {
+            return res.status(400).json({ error: positionError });
+        }
+
+        const stressTest = req.services.stressTest;
+        const result = positions !== undefined
+            ? stressTest.simulate(positions, scenarios)
+            : await stressTest.run(address, scenarios);
+
+        res.json({ address, chain: req.services.chain.key, ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Validation message for stress scenarios, or null when valid (undefined uses the defaults)
+ */
+function validateStressScenarios(scenarios) {
+    if (scenarios === undefined) {
+        return null;
+    }
+    if (!Array.isArray(scenarios) || scenarios.length === 0) {
+        return 'scenarios must be a non-empty array';
+    }
+    for (const scenario of scenarios) {
+        if (!scenario || typeof scenario.shocks !== 'object' || scenario.shocks === null || Array.isArray(scenario.shocks)) {
+            return 'Each scenario needs a shocks object, e.g. { "ETH": -30 }';
+        }
+        for (const [asset, change] of Object.entries(scenario.shocks)) {
+            if (typeof change !== 'number' || !Number.isFinite(change) || change < -100) {
+                return `Shock for ${asset} must be a percent change of at least -100`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Validation message for caller-supplied lending positions, or null when valid
+ */
+function validateStressPositions(positions) {
+    if (!Array.isArray(positions)) {
+        return 'positions must be an array';
+    }
+    for (const position of positions) {
+        if (!position || !['collateral', 'debt'].includes(position.type)) {
+            return 'Each position needs a type of collateral or debt';
+        }
+        if (typeof position.symbol !== 'string' || position.symbol === '') {
+            return 'Each position needs a symbol';
+        }
+        if (!(position.balance > 0) || !(position.price > 0)) {
+            return `Position ${position.symbol} needs a positive balance and price`;
+        }
+        if (position.type === 'collateral' && !(position.liquidationThreshold > 0 && position.liquidationThreshold <= 1)) {
+            return `Collateral ${position.symbol} needs a liquidationThreshold between 0 and 1`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Alerts need ENABLE_PRICE_ALERTS and MongoDB
+ */
+function requireAlerts(req, res, next) {
+    if (!alertsEnabled) {
+        return res.status(503).json({ error: 'Alerts are disabled (ENABLE_PRICE_ALERTS=false)' });
+    }
+    if (!Database.isConnected()) {
+        return res.status(503).json({ error: 'Alerts are unavailable (MongoDB not connected)' });
+    }
+    next();
+}
+
+/**
+ * Register an alert rule: { type, params, webhookUrl, cooldownMinutes }
+ */
+app.post('/api/alerts', requireAdmin, requireAlerts, async (req, res) => {
+    try {
+        const validationError = alertEngine.validateRule(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const rule = await alertEngine.createRule(req.body);
+        res.status(201).json(rule);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * List alert rules, optionally filtered by `type` or watched `address`
+ */
+app.get('/api/alerts', requireAdmin, requireAlerts, async (req, res) => {
+    try {
+        const { type, address } = req.query;
+
+        if (address !== undefined && !ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid Ethereum address' });
+        }
+
+        const rules = await alertEngine.listRules({ type, address });
+        res.json({ rules });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get an alert rule with its state and recent firings
+ */
+app.get('/api/alerts/:id', requireAdmin, requireAlerts, async (req, res) => {
+    try {
+        const rule = await alertEngine.getRule(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        res.json(rule);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete an alert rule and its firings
+ */
+app.delete('/api/alerts/:id', requireAdmin, requireAlerts, async (req, res) => {
+    try {
+        const deleted = await alertEngine.deleteRule(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * Get token information
  */
@@ -111,19 +686,38 @@ app.get('/api/token/:address', async (req, res) => {
             return res.status(400).json({ error: 'Invalid token address' });
         }
         
-        const tokenInfo = await contractUtils.getTokenInfo(address);
+        const tokenInfo = await req.services.contractUtils.getTokenInfo(address);
         res.json(tokenInfo);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+/**
+ * Resolve a unix timestamp (seconds) to the last block mined at or before it
+ */
+app.get('/api/block/at/:timestamp', async (req, res) => {
+    try {
+        const timestamp = parseInt(req.params.timestamp);
+
+        if (!Number.isFinite(timestamp) || timestamp < 0) {
+            return res.status(400).json({ error: 'Invalid timestamp' });
+        }
+
+        const blockNumber = await req.services.contractUtils.getBlockFromTimestamp(timestamp);
+        const blockTimestamp = await req.services.contractUtils.getBlockTimestamp(blockNumber);
+        res.json({ timestamp, blockNumber, blockTimestamp });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * Get current gas prices
  */
 app.get('/api/gas', async (req, res) => {
     try {
-        const gasPrice = await contractUtils.getGasPrice();
+        const gasPrice = await req.services.contractUtils.getGasPrice();
         res.json(gasPrice);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -154,7 +748,7 @@ app.post('/api/prices/batch', async (req, res) => {
 app.get('/api/uniswap/pools/top', async (req, res) => {
     try {
         const { limit = 10 } = req.query;
-        const pools = await uniswapAnalytics.getTopPools(parseInt(limit));
+        const pools = await req.services.uniswapAnalytics.getTopPools(parseInt(limit));
         res.json(pools);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -162,19 +756,37 @@ app.get('/api/uniswap/pools/top', async (req, res) => {
 });
 
 /**
- * Calculate liquidity APY
+ * Calculate liquidity APY (pool address or token0/token1/fee)
  */
-app.get('/api/uniswap/apy/:poolAddress', async (req, res) => {
+app.get(['/api/uniswap/apy/:address', '/api/uniswap/apy/:token0/:token1/:fee'], async (req, res) => {
     try {
-        const { poolAddress } = req.params;
-        const { tickLower, tickUpper } = req.query;
-        
-        const apy = await uniswapAnalytics.calculateLiquidityAPY(
+        const { tickLower, tickUpper, windowSeconds = 86400, depositUSD = 1000 } = req.query;
+        const lower = Number(tickLower);
+        const upper = Number(tickUpper);
+        const window = Number(windowSeconds);
+
+        if (!Number.isInteger(lower) || !Number.isInteger(upper) || lower >= upper) {
+            return res.status(400).json({ error: 'tickLower and tickUpper must be integers with tickLower < tickUpper' });
+        }
+        if (!Number.isInteger(window) || window <= 0 || window > MAX_APY_WINDOW_SECONDS) {
+            return res.status(400).json({ error: `windowSeconds must be a positive integer up to ${MAX_APY_WINDOW_SECONDS}` });
+        }
+        if (!(parseFloat(depositUSD) > 0)) {
+            return res.status(400).json({ error: 'depositUSD must be a positive number' });
+        }
+
+        const poolAddress = await resolveUniswapPool(req.services.uniswapAnalytics, req.params);
+        if (!poolAddress) {
+            return res.status(400).json({ error: 'Invalid pool address or token pair' });
+        }
+
+        const apy = await req.services.uniswapAnalytics.calculateLiquidityAPY(
             poolAddress,
-            parseInt(tickLower),
-            parseInt(tickUpper)
+            lower,
+            upper,
+            { windowSeconds: window, depositUSD: parseFloat(depositUSD) }
         );
-        
+
         res.json(apy);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -182,21 +794,178 @@ app.get('/api/uniswap/apy/:poolAddress', async (req, res) => {
 });
 
 /**
- * Get supported protocols
+ * Impermanent loss, fees and net PnL versus holding for an LP position since an entry block
+ * (or timestamp), with what-if price changes of token0 in `scenarios` (comma-separated percent).
+ * The history series credits the fees earned pro rata to the time elapsed since entry.
+ * type=v3: tokenId, or pool + tickLower + tickUpper + liquidity
+ * type=v2: tokenA + tokenB, with lpAmount LP tokens (default 1)
+ */
+app.get('/api/analytics/il', async (req, res) => {
+    try {
+        const { type = 'v3', tokenId, pool, tickLower, tickUpper, liquidity, tokenA, tokenB, lpAmount,
+            entryBlock, entryTimestamp, scenarios } = req.query;
+
+        if (!['v2', 'v3'].includes(type)) {
+            return res.status(400).json({ error: 'type must be v2 or v3' });
+        }
+
+        let block;
+        if (entryBlock !== undefined) {
+            block = Number(entryBlock);
+        } else if (entryTimestamp !== undefined) {
+            const timestamp = Number(entryTimestamp);
+            if (!Number.isInteger(timestamp) || timestamp < 0) {
+                return res.status(400).json({ error: 'entryTimestamp must be a unix timestamp in seconds' });
+            }
+            block = await req.services.contractUtils.getBlockFromTimestamp(timestamp);
+        }
+        if (!Number.isInteger(block) || block < 0) {
+            return res.status(400).json({ error: 'entryBlock or entryTimestamp is required' });
+        }
+
+        let scenarioChanges;
+        if (scenarios !== undefined) {
+            scenarioChanges = String(scenarios).split(',').map(Number);
+            if (scenarioChanges.some(change => !Number.isFinite(change) || change <= -100)) {
+                return res.status(400).json({ error: 'scenarios must be percent changes greater than -100' });
+            }
+        }
+
+        if (type === 'v2') {
+            if (!ethers.utils.isAddress(tokenA) || !ethers.utils.isAddress(tokenB)) {
+                return res.status(400).json({ error: 'Invalid token address' });
+            }
+            if (lpAmount !== undefined && !(parseFloat(lpAmount) > 0)) {
+                return res.status(400).json({ error: 'lpAmount must be a positive number' });
+            }
+
+            const analysis = await req.services.ilAnalytics.analyzeV2Position({
+                tokenA,
+                tokenB,
+                lpAmount: lpAmount !== undefined ? lpAmount : 1,
+                entryBlock: block,
+                scenarios: scenarioChanges
+            });
+            return res.json(analysis);
+        }
+
+        if (liquidity !== undefined && !/^\d+$/.test(liquidity)) {
+            return res.status(400).json({ error: 'liquidity must be a non-negative integer' });
+        }
+
+        let position;
+        if (tokenId !== undefined) {
+            if (!/^\d+$/.test(tokenId)) {
+                return res.status(400).json({ error: 'Invalid tokenId' });
+            }
+            position = { tokenId };
+        } else {
+            const lower = Number(tickLower);
+            const upper = Number(tickUpper);
+            if (!ethers.utils.isAddress(pool)) {
+                return res.status(400).json({ error: 'tokenId or a pool address is required' });
+            }
+            if (!Number.isInteger(lower) || !Number.isInteger(upper) || lower >= upper) {
+                return res.status(400).json({ error: 'tickLower and tickUpper must be integers with tickLower < tickUpper' });
+            }
+            if (liquidity === undefined) {
+                return res.status(400).json({ error: 'liquidity is required without a tokenId' });
+            }
+            position = { pool, tickLower: lower, tickUpper: upper };
+        }
+
+        const analysis = await req.services.ilAnalytics.analyzeV3Position({
+            ...position,
+            liquidity,
+            entryBlock: block,
+            scenarios: scenarioChanges
+        });
+        res.json(analysis);
+    } catch (error) {
+        const status = error.code === ImpermanentLossAnalytics.INVALID_POSITION ? 400 : 500;
+        res.status(status).json({ error: error.message });
+    }
+});
+
+/**
+ * Get supported protocols and the chains each is deployed on
  */
 app.get('/api/protocols', (req, res) => {
+    const deployedOn = protocol => ChainRegistry.getChains()
+        .filter(chain => chain.deployments[protocol])
+        .map(chain => chain.key);
+
     res.json({
         protocols: [
-            { name: 'Uniswap V2', version: '2.0', supported: true },
-            { name: 'Uniswap V3', version: '3.0', supported: true },
-            { name: 'Aave', version: '3.0', supported: true },
-            { name: 'Compound', version: '2.0', supported: true },
-            { name: 'Curve', version: '1.0', supported: true },
-            { name: 'Balancer', version: '2.0', supported: true }
+            { name: 'Uniswap V2', version: '2.0', supported: true, chains: deployedOn('uniswapV2') },
+            { name: 'Uniswap V3', version: '3.0', supported: true, chains: deployedOn('uniswapV3') },
+            { name: 'Aave', version: '3.0', supported: true, chains: deployedOn('aaveV3') },
+            { name: 'Compound', version: '2.0', supported: true, chains: deployedOn('compoundV2') },
+            { name: 'Compound', version: '3.0', supported: true, chains: deployedOn('compoundV3') },
+            { name: 'Curve', version: '1.0', supported: true, chains: deployedOn('curve') },
+            { name: 'Balancer', version: '2.0', supported: true, chains: deployedOn('balancerV2') }
         ]
     });
 });
 
+/**
+ * Get known chains and whether each has an RPC URL configured
+ */
+app.get('/api/chains', (req, res) => {
+    res.json({
+        chains: ChainRegistry.getChains().map(chain => ({
+            key: chain.key,
+            chainId: chain.chainId,
+            name: chain.name,
+            nativeToken: chain.nativeToken.symbol,
+            configured: ChainRegistry.getRpcUrls(chain).length > 0,
+            protocols: Object.keys(chain.deployments)
+        }))
+    });
+});
+
+/**
+ * Admin routes require `x-admin-key` to match ADMIN_API_KEY; they are disabled when it is unset
+ */
+function requireAdmin(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return res.status(403).json({ error: 'Admin endpoints are disabled (set ADMIN_API_KEY)' });
+    }
+    if (req.get('x-admin-key') !== adminKey) {
+        return res.status(401).json({ error: 'Invalid admin key' });
+    }
+    next();
+}
+
+/**
+ * Cache backend, hit rates and entry counts per type
+ */
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+    try {
+        res.json(await priceOracle.getCacheStats());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Flush the cache, or only one type with `?type=price|pool|token|history`
+ */
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
+    try {
+        const { type } = req.query;
+        if (type !== undefined && !/^[a-z]+$/.test(type)) {
+            return res.status(400).json({ error: 'Invalid cache type' });
+        }
+
+        const removed = await priceOracle.clearCache(type);
+        res.json({ cleared: type || 'all', removed });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error(err.stack);
@@ -218,4 +987,19 @@ app.listen(PORT, () => {
     console.log(`📖 Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
+if (process.env.ENABLE_WEBSOCKET !== 'false') {
+    liveFeed.start(WS_PORT);
+    console.log(`📡 Live feed: ws://localhost:${WS_PORT}`);
+}
+
+// Portfolio snapshots and alert evaluation run only once MongoDB is reachable
+Database.connect().then(connected => {
+    if (connected) {
+        portfolioHistory.start();
+        if (alertsEnabled) {
+            alertEngine.start();
+        }
+    }
+});
+
 module.exports = app;
\ No newline at end of file
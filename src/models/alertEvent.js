@@ -0,0 +1,27 @@
+/**
+ * Alert Event
+ * One firing of an alert rule and the state of its webhook delivery
+ */
+
+const mongoose = require('mongoose');
+
+const alertEventSchema = new mongoose.Schema({
+    rule: { type: mongoose.Schema.Types.ObjectId, ref: 'AlertRule', required: true },
+    firedAt: { type: Date, default: Date.now },
+    message: String,
+    value: mongoose.Schema.Types.Mixed,
+    details: mongoose.Schema.Types.Mixed,
+    delivery: {
+        // pending until the webhook accepts it, failed once retries run out
+        status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+        attempts: { type: Number, default: 0 },
+        nextAttemptAt: { type: Date, default: Date.now },
+        deliveredAt: Date,
+        lastError: String
+    }
+}, { versionKey: false });
+
+alertEventSchema.index({ 'delivery.status': 1, 'delivery.nextAttemptAt': 1 });
+alertEventSchema.index({ rule: 1, firedAt: -1 });
+
+module.exports = mongoose.model('AlertEvent', alertEventSchema);
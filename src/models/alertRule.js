@@ -0,0 +1,37 @@
+/**
+ * Alert Rule
+ * A user-registered condition, its webhook and the evaluator's state for it
+ */
+
+const mongoose = require('mongoose');
+
+const ALERT_TYPES = ['price', 'price_change', 'position_out_of_range', 'health_factor'];
+
+const alertRuleSchema = new mongoose.Schema({
+    type: { type: String, required: true, enum: ALERT_TYPES },
+    // price: { symbol, direction: 'above' | 'below', threshold }
+    // price_change: { symbol, thresholdPercent }
+    // position_out_of_range: { address, chain, tokenId? }
+    // health_factor: { address, chain, threshold }
+    params: { type: mongoose.Schema.Types.Mixed, required: true },
+    webhookUrl: { type: String, required: true },
+    // Minimum time between two firings of this rule
+    cooldownMinutes: { type: Number, default: 60, min: 0 },
+    enabled: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+    state: {
+        // Whether the condition held at the last check; a rule fires when it starts holding
+        triggered: { type: Boolean, default: false },
+        // What fired last (e.g. the out-of-range token ids), so a change refires while still triggered
+        triggerKey: String,
+        lastValue: mongoose.Schema.Types.Mixed,
+        lastCheckedAt: Date,
+        lastFiredAt: Date,
+        lastError: String,
+        fireCount: { type: Number, default: 0 }
+    }
+}, { versionKey: false });
+
+alertRuleSchema.statics.TYPES = ALERT_TYPES;
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
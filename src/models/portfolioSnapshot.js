@@ -0,0 +1,36 @@
+/**
+ * Portfolio Snapshot
+ * A wallet's valued portfolio at one point in time, for one chain or all of them
+ */
+
+const mongoose = require('mongoose');
+
+const holdingSchema = new mongoose.Schema({
+    // Identifies the same holding across snapshots, e.g. token:1:0xA0b8... or lp:uniswap-v3:1234
+    key: { type: String, required: true },
+    symbol: String,
+    amount: Number,
+    price: Number,
+    value: Number
+}, { _id: false });
+
+const portfolioSnapshotSchema = new mongoose.Schema({
+    address: { type: String, required: true, lowercase: true },
+    // Chain key, or 'all' for a multi-chain snapshot
+    chain: { type: String, required: true },
+    timestamp: { type: Date, required: true, default: Date.now },
+    totalValue: { type: Number, required: true },
+    // USD totals per category
+    breakdown: {
+        tokens: Number,
+        liquidityProvision: Number,
+        lending: Number,
+        borrowing: Number
+    },
+    holdings: [holdingSchema],
+    riskMetrics: mongoose.Schema.Types.Mixed
+}, { versionKey: false });
+
+portfolioSnapshotSchema.index({ address: 1, chain: 1, timestamp: 1 });
+
+module.exports = mongoose.model('PortfolioSnapshot', portfolioSnapshotSchema);
@@ -0,0 +1,19 @@
+/**
+ * Tracked Wallet
+ * An address (and chain) whose portfolio is snapshotted on a schedule
+ */
+
+const mongoose = require('mongoose');
+
+const trackedWalletSchema = new mongoose.Schema({
+    address: { type: String, required: true, lowercase: true },
+    // Chain key, or 'all' to snapshot every configured chain together
+    chain: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    lastSnapshotAt: Date,
+    lastError: String
+}, { versionKey: false });
+
+trackedWalletSchema.index({ address: 1, chain: 1 }, { unique: true });
+
+module.exports = mongoose.model('TrackedWallet', trackedWalletSchema);
@@ -0,0 +1,288 @@
+/**
+ * Aave V3 Protocol Integration
+ * Handles reserve configuration, rates, and user supply/borrow positions
+ */
+
+const { ethers } = require('ethers');
+const ChainRegistry = require('../utils/chains');
+
+const SECONDS_PER_YEAR = 31536000;
+
+class AaveAnalytics {
+    constructor(provider, chainId = 1) {
+        this.provider = provider;
+        this.chainId = chainId;
+        this.deployment = ChainRegistry.getDeployment(chainId, 'aaveV3');
+        if (this.deployment) {
+            this.poolAddress = this.deployment.pool;
+            this.dataProviderAddress = this.deployment.dataProvider;
+            this.oracleAddress = this.deployment.oracle;
+            this.pool = new ethers.Contract(this.poolAddress, POOL_ABI, provider);
+            this.dataProvider = new ethers.Contract(this.dataProviderAddress, DATA_PROVIDER_ABI, provider);
+            this.oracle = new ethers.Contract(this.oracleAddress, ORACLE_ABI, provider);
+        }
+    }
+
+    /**
+     * Whether Aave V3 is deployed on this chain
+     */
+    isDeployed() {
+        return this.deployment !== null;
+    }
+
+    /**
+     * List all reserves listed on the market
+     */
+    async getReserves() {
+        const reserves = await this.dataProvider.getAllReservesTokens();
+        return reserves.map(({ symbol, tokenAddress }) => ({ symbol, address: tokenAddress }));
+    }
+
+    /**
+     * Get configuration and current rates for a reserve
+     */
+    async getReserveInfo(asset) {
+        try {
+            const [config, data] = await Promise.all([
+                this.dataProvider.getReserveConfigurationData(asset),
+                this.dataProvider.getReserveData(asset)
+            ]);
+
+            const decimals = config.decimals.toNumber();
+
+            return {
+                address: asset,
+                decimals,
+                ltv: config.ltv.toNumber() / 10000,
+                liquidationThreshold: config.liquidationThreshold.toNumber() / 10000,
+                liquidationBonus: config.liquidationBonus.toNumber() / 10000,
+                usageAsCollateralEnabled: config.usageAsCollateralEnabled,
+                borrowingEnabled: config.borrowingEnabled,
+                isActive: config.isActive,
+                isFrozen: config.isFrozen,
+                totalSupplied: ethers.utils.formatUnits(data.totalAToken, decimals),
+                totalBorrowed: ethers.utils.formatUnits(
+                    data.totalStableDebt.add(data.totalVariableDebt),
+                    decimals
+                ),
+                supplyAPY: this.rateToAPY(data.liquidityRate),
+                variableBorrowAPY: this.rateToAPY(data.variableBorrowRate),
+                stableBorrowAPY: this.rateToAPY(data.stableBorrowRate)
+            };
+        } catch (error) {
+            console.error(`Error fetching Aave reserve ${asset}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get e-mode category parameters (ltv / liquidation threshold as decimals).
+     * Aave 3.2+ keeps them on the Pool with a bitmap of the reserve ids that count as
+     * collateral in the category; older markets tag each reserve with its category instead,
+     * which is read from the data provider (`collateralBitmap` is then null).
+     */
+    async getEModeCategory(categoryId) {
+        try {
+            const [config, collateralBitmap, label] = await Promise.all([
+                this.pool.getEModeCategoryCollateralConfig(categoryId),
+                this.pool.getEModeCategoryCollateralBitmap(categoryId),
+                this.pool.getEModeCategoryLabel(categoryId)
+            ]);
+            return {
+                id: categoryId,
+                label,
+                ltv: config.ltv / 10000,
+                liquidationThreshold: config.liquidationThreshold / 10000,
+                liquidationBonus: config.liquidationBonus / 10000,
+                collateralBitmap
+            };
+        } catch (error) {
+            if (error.code !== ethers.errors.CALL_EXCEPTION) {
+                throw error;
+            }
+        }
+
+        const data = await this.pool.getEModeCategoryData(categoryId);
+        return {
+            id: categoryId,
+            label: data.label,
+            ltv: data.ltv / 10000,
+            liquidationThreshold: data.liquidationThreshold / 10000,
+            liquidationBonus: data.liquidationBonus / 10000,
+            collateralBitmap: null
+        };
+    }
+
+    /**
+     * Whether a reserve is collateral in an e-mode category, by reserve id on Aave 3.2+
+     */
+    async isEModeCollateral(eMode, asset) {
+        if (eMode.collateralBitmap === null) {
+            const category = await this.dataProvider.getReserveEModeCategory(asset);
+            return category.toNumber() === eMode.id;
+        }
+        const { id } = await this.pool.getReserveData(asset);
+        return eMode.collateralBitmap.shr(id).and(1).eq(1);
+    }
+
+    /**
+     * Get aggregated account data as computed by the Pool (USD, 8 decimals on mainnet)
+     */
+    async getUserAccountData(user) {
+        const [accountData, eModeId] = await Promise.all([
+            this.pool.getUserAccountData(user),
+            this.pool.getUserEMode(user)
+        ]);
+
+        return {
+            totalCollateral: parseFloat(ethers.utils.formatUnits(accountData.totalCollateralBase, 8)),
+            totalDebt: parseFloat(ethers.utils.formatUnits(accountData.totalDebtBase, 8)),
+            availableBorrows: parseFloat(ethers.utils.formatUnits(accountData.availableBorrowsBase, 8)),
+            currentLiquidationThreshold: accountData.currentLiquidationThreshold.toNumber() / 10000,
+            ltv: accountData.ltv.toNumber() / 10000,
+            healthFactor: accountData.healthFactor.eq(ethers.constants.MaxUint256)
+                ? Infinity
+                : parseFloat(ethers.utils.formatUnits(accountData.healthFactor, 18)),
+            eModeCategory: eModeId.toNumber()
+        };
+    }
+
+    /**
+     * Get a user's supply, collateral and debt positions.
+     * Entries use the collateral/debt/supply shape consumed by PortfolioAnalytics.
+     */
+    async getUserPositions(user) {
+        const [reserves, eModeId] = await Promise.all([
+            this.getReserves(),
+            this.pool.getUserEMode(user)
+        ]);
+
+        const userReserves = await Promise.all(
+            reserves.map(reserve => this.dataProvider.getUserReserveData(reserve.address, user))
+        );
+
+        const active = reserves
+            .map((reserve, index) => ({ ...reserve, userData: userReserves[index] }))
+            .filter(({ userData }) =>
+                !userData.currentATokenBalance.isZero() ||
+                !userData.currentStableDebt.isZero() ||
+                !userData.currentVariableDebt.isZero()
+            );
+
+        if (active.length === 0) {
+            return [];
+        }
+
+        const [infos, prices, eModeCollateral] = await Promise.all([
+            Promise.all(active.map(reserve => this.getReserveInfo(reserve.address))),
+            this.oracle.getAssetsPrices(active.map(reserve => reserve.address)),
+            eModeId.isZero() ? null : this.getEModeCategory(eModeId.toNumber()).then(async category => ({
+                category,
+                members: await Promise.all(active.map(reserve => this.isEModeCollateral(category, reserve.address)))
+            }))
+        ]);
+        const eMode = eModeCollateral ? eModeCollateral.category : null;
+
+        const positions = [];
+
+        active.forEach((reserve, index) => {
+            const info = infos[index];
+            const { userData } = reserve;
+            const price = parseFloat(ethers.utils.formatUnits(prices[index], 8));
+            const inEMode = eMode !== null && eModeCollateral.members[index];
+            const base = {
+                protocol: 'aave-v3',
+                asset: reserve.address,
+                symbol: reserve.symbol,
+                price
+            };
+
+            if (!userData.currentATokenBalance.isZero()) {
+                const balance = parseFloat(
+                    ethers.utils.formatUnits(userData.currentATokenBalance, info.decimals)
+                );
+                const value = balance * price;
+
+                positions.push({
+                    ...base,
+                    type: 'supply',
+                    balance,
+                    value,
+                    apy: info.supplyAPY,
+                    dailyYield: value * info.supplyAPY / 100 / 365
+                });
+
+                if (userData.usageAsCollateralEnabled && info.liquidationThreshold > 0) {
+                    positions.push({
+                        ...base,
+                        type: 'collateral',
+                        balance,
+                        value,
+                        ltv: inEMode ? eMode.ltv : info.ltv,
+                        liquidationThreshold: inEMode ? eMode.liquidationThreshold : info.liquidationThreshold,
+                        liquidationBonus: inEMode ? eMode.liquidationBonus : info.liquidationBonus,
+                        eMode: inEMode
+                    });
+                }
+            }
+
+            const debts = [
+                { rateMode: 'variable', amount: userData.currentVariableDebt, apy: info.variableBorrowAPY },
+                { rateMode: 'stable', amount: userData.currentStableDebt, apy: this.rateToAPY(userData.stableBorrowRate) }
+            ];
+
+            for (const debt of debts) {
+                if (debt.amount.isZero()) {
+                    continue;
+                }
+
+                const balance = parseFloat(ethers.utils.formatUnits(debt.amount, info.decimals));
+                positions.push({
+                    ...base,
+                    type: 'debt',
+                    rateMode: debt.rateMode,
+                    balance,
+                    value: balance * price,
+                    apy: debt.apy
+                });
+            }
+        });
+
+        return positions;
+    }
+
+    /**
+     * Convert a per-second compounded ray rate (APR) to APY percentage
+     */
+    rateToAPY(rayRate) {
+        const apr = parseFloat(ethers.utils.formatUnits(rayRate, 27));
+        return (Math.pow(1 + apr / SECONDS_PER_YEAR, SECONDS_PER_YEAR) - 1) * 100;
+    }
+}
+
+// Minimal Pool ABI for account and e-mode data
+const POOL_ABI = [
+    'function getUserAccountData(address user) external view returns (uint256 totalCollateralBase, uint256 totalDebtBase, uint256 availableBorrowsBase, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)',
+    'function getUserEMode(address user) external view returns (uint256)',
+    'function getEModeCategoryData(uint8 id) external view returns (tuple(uint16 ltv, uint16 liquidationThreshold, uint16 liquidationBonus, address priceSource, string label))',
+    'function getEModeCategoryCollateralConfig(uint8 id) external view returns (tuple(uint16 ltv, uint16 liquidationThreshold, uint16 liquidationBonus))',
+    'function getEModeCategoryCollateralBitmap(uint8 id) external view returns (uint128)',
+    'function getEModeCategoryLabel(uint8 id) external view returns (string)',
+    'function getReserveData(address asset) external view returns (tuple(tuple(uint256 data) configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))'
+];
+
+// Minimal PoolDataProvider ABI for reserve and user reserve data
+const DATA_PROVIDER_ABI = [
+    'function getAllReservesTokens() external view returns (tuple(string symbol, address tokenAddress)[])',
+    'function getReserveConfigurationData(address asset) external view returns (uint256 decimals, uint256 ltv, uint256 liquidationThreshold, uint256 liquidationBonus, uint256 reserveFactor, bool usageAsCollateralEnabled, bool borrowingEnabled, bool stableBorrowRateEnabled, bool isActive, bool isFrozen)',
+    'function getReserveData(address asset) external view returns (uint256 unbacked, uint256 accruedToTreasuryScaled, uint256 totalAToken, uint256 totalStableDebt, uint256 totalVariableDebt, uint256 liquidityRate, uint256 variableBorrowRate, uint256 stableBorrowRate, uint256 averageStableBorrowRate, uint256 liquidityIndex, uint256 variableBorrowIndex, uint40 lastUpdateTimestamp)',
+    'function getReserveEModeCategory(address asset) external view returns (uint256)',
+    'function getUserReserveData(address asset, address user) external view returns (uint256 currentATokenBalance, uint256 currentStableDebt, uint256 currentVariableDebt, uint256 principalStableDebt, uint256 scaledVariableDebt, uint256 stableBorrowRate, uint256 liquidityRate, uint40 stableRateLastUpdated, bool usageAsCollateralEnabled)'
+];
+
+// Minimal AaveOracle ABI (prices in the market base currency, USD with 8 decimals)
+const ORACLE_ABI = [
+    'function getAssetsPrices(address[] assets) external view returns (uint256[])'
+];
+
+module.exports = AaveAnalytics;
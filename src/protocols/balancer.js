@@ -0,0 +1,302 @@
+/**
+ * Balancer V2 Protocol Integration
+ * Handles weighted and stable pools through the Vault, spot prices and BPT valuation
+ */
+
+const { ethers } = require('ethers');
+const TokenRegistry = require('../utils/tokenRegistry');
+const ChainRegistry = require('../utils/chains');
+const Cache = require('../utils/cache');
+
+const STABLE_MAX_ITERATIONS = 255;
+const STABLE_CONVERGENCE = 1e-12;
+
+class BalancerAnalytics {
+    constructor(provider, chainId = 1) {
+        this.provider = provider;
+        this.chainId = chainId;
+        const deployment = ChainRegistry.getDeployment(chainId, 'balancerV2') || { pools: [] };
+        this.vaultAddress = deployment.vault;
+        if (this.vaultAddress) {
+            this.vault = new ethers.Contract(this.vaultAddress, VAULT_ABI, provider);
+        }
+        // Pools checked when valuing a wallet's BPT holdings
+        this.pools = deployment.pools;
+        this.tokenRegistry = TokenRegistry.forProvider(provider, chainId);
+        this.cache = Cache.getDefault();
+    }
+
+    /**
+     * Get pool information from the Vault plus pool-type specific parameters.
+     * Accepts either a pool address or a 32-byte pool id. Cached briefly.
+     */
+    async getPoolInfo(poolIdOrAddress) {
+        return this.cache.wrap('pool', `${this.chainId}:balancerV2:${poolIdOrAddress.toLowerCase()}`,
+            () => this.fetchPoolInfo(poolIdOrAddress));
+    }
+
+    async fetchPoolInfo(poolIdOrAddress) {
+        if (!this.vault) {
+            throw new Error(`Balancer V2 is not deployed on chain ${this.chainId}`);
+        }
+
+        try {
+            const poolAddress = ethers.utils.isAddress(poolIdOrAddress)
+                ? poolIdOrAddress
+                : ethers.utils.getAddress(ethers.utils.hexDataSlice(poolIdOrAddress, 0, 20));
+            const pool = new ethers.Contract(poolAddress, POOL_ABI, this.provider);
+
+            const poolId = await pool.getPoolId();
+            const [poolTokens, swapFee, supply, params, scalingFactors] = await Promise.all([
+                this.vault.getPoolTokens(poolId),
+                pool.getSwapFeePercentage(),
+                this.getBptSupply(pool),
+                this.getPoolParams(pool),
+                pool.getScalingFactors().catch(() => null)
+            ]);
+
+            // Composable pools hold their own BPT; it is not part of the pool's liquidity
+            const tokens = [];
+            for (const [index, address] of poolTokens.tokens.entries()) {
+                if (address.toLowerCase() === poolAddress.toLowerCase()) {
+                    continue;
+                }
+
+                const metadata = await this.getTokenMetadata(address);
+                tokens.push({
+                    ...metadata,
+                    balance: ethers.utils.formatUnits(poolTokens.balances[index], metadata.decimals),
+                    rawBalance: poolTokens.balances[index].toString(),
+                    weight: params.weights ? params.weights[index] : null,
+                    // Scaling factors fold in decimals and rate providers (e.g. wstETH rate)
+                    scaledBalance: scalingFactors
+                        ? parseFloat(ethers.utils.formatUnits(
+                            poolTokens.balances[index].mul(scalingFactors[index]),
+                            36
+                        ))
+                        : parseFloat(ethers.utils.formatUnits(poolTokens.balances[index], metadata.decimals))
+                });
+            }
+
+            const info = {
+                address: poolAddress,
+                poolId,
+                type: params.type,
+                tokens,
+                swapFee: parseFloat(ethers.utils.formatUnits(swapFee, 18)) * 100,
+                totalSupply: ethers.utils.formatUnits(supply, 18),
+                amplification: params.amplification || null,
+                lastChangeBlock: poolTokens.lastChangeBlock.toNumber()
+            };
+
+            info.spotPrices = tokens.map((token, index) => ({
+                symbol: token.symbol,
+                priceInToken0: index === 0 ? 1 : this.calculateSpotPrice(info, index, 0)
+            }));
+
+            return info;
+        } catch (error) {
+            console.error('Error fetching Balancer pool info:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Spot price of token `i` denominated in token `j` (excluding swap fees)
+     */
+    calculateSpotPrice(poolInfo, i, j) {
+        const tokenIn = poolInfo.tokens[i];
+        const tokenOut = poolInfo.tokens[j];
+
+        if (poolInfo.type === 'weighted') {
+            return (parseFloat(tokenOut.balance) / tokenOut.weight) /
+                (parseFloat(tokenIn.balance) / tokenIn.weight);
+        }
+
+        // Stable pools have no closed form; price a tiny swap against the invariant
+        const balances = poolInfo.tokens.map(token => token.scaledBalance);
+        const dx = balances[i] * 1e-6;
+        const dy = this.calcStableOutGivenIn(poolInfo.amplification, balances, i, j, dx);
+        const inRate = tokenIn.scaledBalance / parseFloat(tokenIn.balance);
+        const outRate = tokenOut.scaledBalance / parseFloat(tokenOut.balance);
+        return (dy / outRate) / (dx / inRate);
+    }
+
+    /**
+     * USD value of one BPT given USD prices keyed by token symbol
+     */
+    calculateBptValue(poolInfo, prices) {
+        const supply = parseFloat(poolInfo.totalSupply);
+        if (supply === 0) {
+            return 0;
+        }
+
+        const tvl = poolInfo.tokens.reduce(
+            (sum, token) => sum + parseFloat(token.balance) * (prices[token.symbol] || 0),
+            0
+        );
+        return tvl / supply;
+    }
+
+    /**
+     * Get a user's BPT holdings in known pools with their underlying token amounts
+     */
+    async getUserPositions(user) {
+        const balances = await Promise.all(this.pools.map(pool =>
+            new ethers.Contract(pool.address, POOL_ABI, this.provider).balanceOf(user)
+        ));
+
+        const held = this.pools
+            .map((pool, index) => ({ ...pool, bptBalance: balances[index] }))
+            .filter(pool => !pool.bptBalance.isZero());
+
+        return Promise.all(held.map(async pool => {
+            const info = await this.getPoolInfo(pool.address);
+            const share = parseFloat(ethers.utils.formatUnits(pool.bptBalance, 18)) /
+                parseFloat(info.totalSupply);
+
+            return {
+                protocol: 'balancer-v2',
+                pool: pool.address,
+                poolId: info.poolId,
+                name: pool.name,
+                type: info.type,
+                bptBalance: ethers.utils.formatUnits(pool.bptBalance, 18),
+                share,
+                underlying: info.tokens.map(token => ({
+                    address: token.address,
+                    symbol: token.symbol,
+                    weight: token.weight,
+                    amount: parseFloat(token.balance) * share
+                })),
+                poolInfo: info
+            };
+        }));
+    }
+
+    /**
+     * Detect the pool type and read its weights or amplification
+     */
+    async getPoolParams(pool) {
+        try {
+            const weights = await pool.getNormalizedWeights();
+            return {
+                type: 'weighted',
+                weights: weights.map(weight => parseFloat(ethers.utils.formatUnits(weight, 18)))
+            };
+        } catch (error) {
+            const amp = await pool.getAmplificationParameter();
+            return {
+                type: 'stable',
+                amplification: amp.value.toNumber() / amp.precision.toNumber()
+            };
+        }
+    }
+
+    /**
+     * BPT supply excluding pre-minted and protocol-fee-owed BPT where the pool exposes it
+     */
+    async getBptSupply(pool) {
+        try {
+            return await pool.getActualSupply();
+        } catch (error) {
+            try {
+                return await pool.getVirtualSupply();
+            } catch (innerError) {
+                return pool.totalSupply();
+            }
+        }
+    }
+
+    /**
+     * Get token symbol/decimals from the token registry
+     */
+    async getTokenMetadata(address) {
+        const { symbol, decimals } = await this.tokenRegistry.getToken(address);
+        return { address, symbol, decimals };
+    }
+
+    /**
+     * StableMath invariant (Balancer's formulation, amp without precision)
+     */
+    calcStableInvariant(amp, balances) {
+        const n = balances.length;
+        const sum = balances.reduce((acc, balance) => acc + balance, 0);
+        if (sum === 0) {
+            return 0;
+        }
+
+        const ampTimesTotal = amp * n;
+        let invariant = sum;
+
+        for (let iteration = 0; iteration < STABLE_MAX_ITERATIONS; iteration++) {
+            let dP = invariant;
+            for (const balance of balances) {
+                dP = (dP * invariant) / (balance * n);
+            }
+
+            const previous = invariant;
+            invariant = ((ampTimesTotal * sum + dP * n) * invariant) /
+                ((ampTimesTotal - 1) * invariant + (n + 1) * dP);
+
+            if (Math.abs(invariant - previous) <= previous * STABLE_CONVERGENCE) {
+                return invariant;
+            }
+        }
+
+        throw new Error('Stable invariant did not converge');
+    }
+
+    /**
+     * StableMath out-given-in: solve for the new balance of token j after adding dx of token i
+     */
+    calcStableOutGivenIn(amp, balances, i, j, dx) {
+        const n = balances.length;
+        const invariant = this.calcStableInvariant(amp, balances);
+        const ampTimesTotal = amp * n;
+        const updated = balances.map((balance, index) => (index === i ? balance + dx : balance));
+
+        let sum = 0;
+        let c = invariant;
+        updated.forEach((balance, index) => {
+            if (index === j) {
+                return;
+            }
+            sum += balance;
+            c = (c * invariant) / (balance * n);
+        });
+        c = (c * invariant) / (ampTimesTotal * n);
+        const b = sum + invariant / ampTimesTotal;
+
+        let y = invariant;
+        for (let iteration = 0; iteration < STABLE_MAX_ITERATIONS; iteration++) {
+            const previous = y;
+            y = (y * y + c) / (2 * y + b - invariant);
+            if (Math.abs(y - previous) <= previous * STABLE_CONVERGENCE) {
+                return balances[j] - y;
+            }
+        }
+
+        throw new Error('Stable swap did not converge');
+    }
+}
+
+// Minimal Vault ABI
+const VAULT_ABI = [
+    'function getPoolTokens(bytes32 poolId) external view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)'
+];
+
+// Union of the weighted / stable / composable stable pool getters we rely on
+const POOL_ABI = [
+    'function getPoolId() external view returns (bytes32)',
+    'function getSwapFeePercentage() external view returns (uint256)',
+    'function getNormalizedWeights() external view returns (uint256[])',
+    'function getAmplificationParameter() external view returns (uint256 value, bool isUpdating, uint256 precision)',
+    'function getScalingFactors() external view returns (uint256[])',
+    'function getActualSupply() external view returns (uint256)',
+    'function getVirtualSupply() external view returns (uint256)',
+    'function totalSupply() external view returns (uint256)',
+    'function balanceOf(address owner) external view returns (uint256)'
+];
+
+module.exports = BalancerAnalytics;
@@ -0,0 +1,422 @@
+/**
+ * Compound Protocol Integration
+ * Handles Compound V2 cToken markets and Compound V3 (Comet) markets
+ */
+
+const { ethers } = require('ethers');
+const TokenRegistry = require('../utils/tokenRegistry');
+const ChainRegistry = require('../utils/chains');
+
+const MANTISSA = ethers.BigNumber.from(10).pow(18);
+const BLOCKS_PER_DAY = 7200; // 12s blocks
+const SECONDS_PER_YEAR = 31536000;
+
+class CompoundAnalytics {
+    constructor(provider, chainId = 1) {
+        this.provider = provider;
+        this.chainId = chainId;
+        const v2 = ChainRegistry.getDeployment(chainId, 'compoundV2');
+        const v3 = ChainRegistry.getDeployment(chainId, 'compoundV3') || { comets: [] };
+        if (v2) {
+            this.comptrollerAddress = v2.comptroller;
+            this.cEtherAddress = v2.cEther;
+            this.comptroller = new ethers.Contract(this.comptrollerAddress, COMPTROLLER_ABI, provider);
+        }
+        this.ethUsdFeedAddress = v3.ethUsdFeed;
+        this.comets = v3.comets;
+        this.marketCache = new Map();
+        this.tokenRegistry = TokenRegistry.forProvider(provider, chainId);
+    }
+
+    /**
+     * Get static metadata for a V2 market (underlying token, decimals, collateral factor)
+     */
+    async getMarketMetadata(cTokenAddress) {
+        const key = cTokenAddress.toLowerCase();
+        if (this.marketCache.has(key)) {
+            return this.marketCache.get(key);
+        }
+
+        const cToken = new ethers.Contract(cTokenAddress, CTOKEN_ABI, this.provider);
+        const [symbol, market] = await Promise.all([
+            cToken.symbol(),
+            this.comptroller.markets(cTokenAddress)
+        ]);
+
+        let underlying = { address: ethers.constants.AddressZero, symbol: 'ETH', decimals: 18 };
+        if (key !== this.cEtherAddress.toLowerCase()) {
+            const underlyingAddress = await cToken.underlying();
+            const { symbol: underlyingSymbol, decimals } = await this.tokenRegistry.getToken(underlyingAddress);
+            underlying = { address: underlyingAddress, symbol: underlyingSymbol, decimals };
+        }
+
+        const metadata = {
+            address: cTokenAddress,
+            symbol,
+            underlying,
+            collateralFactor: parseFloat(ethers.utils.formatUnits(market.collateralFactorMantissa, 18))
+        };
+        this.marketCache.set(key, metadata);
+        return metadata;
+    }
+
+    /**
+     * Get V2 market state with supply/borrow APY computed from the market's interest rate model
+     */
+    async getMarketInfo(cTokenAddress) {
+        try {
+            const cToken = new ethers.Contract(cTokenAddress, CTOKEN_ABI, this.provider);
+            const [metadata, cash, totalBorrows, totalReserves, reserveFactor, modelAddress, exchangeRate] =
+                await Promise.all([
+                    this.getMarketMetadata(cTokenAddress),
+                    cToken.getCash(),
+                    cToken.totalBorrows(),
+                    cToken.totalReserves(),
+                    cToken.reserveFactorMantissa(),
+                    cToken.interestRateModel(),
+                    cToken.exchangeRateStored()
+                ]);
+
+            const model = new ethers.Contract(modelAddress, RATE_MODEL_ABI, this.provider);
+            const [borrowRate, supplyRate] = await Promise.all([
+                model.getBorrowRate(cash, totalBorrows, totalReserves),
+                model.getSupplyRate(cash, totalBorrows, totalReserves, reserveFactor)
+            ]);
+
+            const { decimals } = metadata.underlying;
+            const totalSupply = cash.add(totalBorrows).sub(totalReserves);
+
+            return {
+                ...metadata,
+                exchangeRate: exchangeRate.toString(),
+                totalSupplied: ethers.utils.formatUnits(totalSupply, decimals),
+                totalBorrowed: ethers.utils.formatUnits(totalBorrows, decimals),
+                utilization: totalSupply.isZero()
+                    ? 0
+                    : totalBorrows.mul(10000).div(totalSupply).toNumber() / 10000,
+                supplyAPY: this.blockRateToAPY(supplyRate),
+                borrowAPY: this.blockRateToAPY(borrowRate)
+            };
+        } catch (error) {
+            console.error(`Error fetching Compound market ${cTokenAddress}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's Compound V2 supply, collateral and debt positions
+     */
+    async getV2Positions(account) {
+        if (!this.comptroller) {
+            return [];
+        }
+
+        const [markets, assetsIn, oracleAddress] = await Promise.all([
+            this.comptroller.getAllMarkets(),
+            this.comptroller.getAssetsIn(account),
+            this.comptroller.oracle()
+        ]);
+
+        const snapshots = await Promise.all(markets.map(market =>
+            new ethers.Contract(market, CTOKEN_ABI, this.provider).getAccountSnapshot(account)
+        ));
+
+        const active = markets
+            .map((address, index) => ({ address, snapshot: snapshots[index] }))
+            .filter(({ snapshot }) =>
+                snapshot.error.isZero() &&
+                (!snapshot.cTokenBalance.isZero() || !snapshot.borrowBalance.isZero())
+            );
+
+        const oracle = new ethers.Contract(oracleAddress, COMPOUND_ORACLE_ABI, this.provider);
+        const enteredMarkets = new Set(assetsIn.map(address => address.toLowerCase()));
+        const positions = [];
+
+        for (const { address, snapshot } of active) {
+            const [market, underlyingPrice] = await Promise.all([
+                this.getMarketInfo(address),
+                oracle.getUnderlyingPrice(address)
+            ]);
+
+            const { decimals, symbol } = market.underlying;
+            // Oracle prices are scaled by 1e(36 - underlying decimals)
+            const price = parseFloat(ethers.utils.formatUnits(underlyingPrice, 36 - decimals));
+            const base = {
+                protocol: 'compound-v2',
+                market: address,
+                asset: market.underlying.address,
+                symbol,
+                price
+            };
+
+            if (!snapshot.cTokenBalance.isZero()) {
+                const underlyingBalance = snapshot.cTokenBalance.mul(snapshot.exchangeRateMantissa).div(MANTISSA);
+                const balance = parseFloat(ethers.utils.formatUnits(underlyingBalance, decimals));
+                const value = balance * price;
+
+                positions.push({
+                    ...base,
+                    type: 'supply',
+                    balance,
+                    value,
+                    apy: market.supplyAPY,
+                    dailyYield: value * market.supplyAPY / 100 / 365
+                });
+
+                if (enteredMarkets.has(address.toLowerCase()) && market.collateralFactor > 0) {
+                    positions.push({
+                        ...base,
+                        type: 'collateral',
+                        balance,
+                        value,
+                        // V2 accounts become liquidatable once borrows exceed the collateral factor
+                        liquidationThreshold: market.collateralFactor
+                    });
+                }
+            }
+
+            if (!snapshot.borrowBalance.isZero()) {
+                const balance = parseFloat(ethers.utils.formatUnits(snapshot.borrowBalance, decimals));
+                positions.push({
+                    ...base,
+                    type: 'debt',
+                    balance,
+                    value: balance * price,
+                    apy: market.borrowAPY
+                });
+            }
+        }
+
+        return positions;
+    }
+
+    /**
+     * Get Comet market state: base token, utilization and current rates
+     */
+    async getCometInfo(cometAddress) {
+        try {
+            const comet = new ethers.Contract(cometAddress, COMET_ABI, this.provider);
+            const [baseToken, baseTokenPriceFeed, numAssets, utilization, totalSupply, totalBorrow] =
+                await Promise.all([
+                    comet.baseToken(),
+                    comet.baseTokenPriceFeed(),
+                    comet.numAssets(),
+                    comet.getUtilization(),
+                    comet.totalSupply(),
+                    comet.totalBorrow()
+                ]);
+
+            const [{ symbol, decimals }, supplyRate, borrowRate, assets] = await Promise.all([
+                this.tokenRegistry.getToken(baseToken),
+                comet.getSupplyRate(utilization),
+                comet.getBorrowRate(utilization),
+                Promise.all(Array.from({ length: numAssets }, (_, index) => comet.getAssetInfo(index)))
+            ]);
+
+            return {
+                address: cometAddress,
+                baseToken: { address: baseToken, symbol, decimals },
+                baseTokenPriceFeed,
+                totalSupplied: ethers.utils.formatUnits(totalSupply, decimals),
+                totalBorrowed: ethers.utils.formatUnits(totalBorrow, decimals),
+                utilization: parseFloat(ethers.utils.formatUnits(utilization, 18)),
+                supplyAPY: this.secondRateToAPY(supplyRate),
+                borrowAPY: this.secondRateToAPY(borrowRate),
+                collateralAssets: assets.map(asset => ({
+                    address: asset.asset,
+                    priceFeed: asset.priceFeed,
+                    scale: asset.scale.toString(),
+                    borrowCollateralFactor: parseFloat(ethers.utils.formatUnits(asset.borrowCollateralFactor, 18)),
+                    liquidateCollateralFactor: parseFloat(ethers.utils.formatUnits(asset.liquidateCollateralFactor, 18))
+                }))
+            };
+        } catch (error) {
+            console.error(`Error fetching Comet market ${cometAddress}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's Compound V3 base supply/borrow and collateral positions
+     */
+    async getV3Positions(account) {
+        const positions = [];
+        let ethUsd = null;
+
+        for (const config of this.comets) {
+            const comet = new ethers.Contract(config.address, COMET_ABI, this.provider);
+            const [supplied, borrowed, info] = await Promise.all([
+                comet.balanceOf(account),
+                comet.borrowBalanceOf(account),
+                this.getCometInfo(config.address)
+            ]);
+
+            const collateralBalances = await Promise.all(
+                info.collateralAssets.map(asset => comet.collateralBalanceOf(account, asset.address))
+            );
+
+            if (supplied.isZero() && borrowed.isZero() && collateralBalances.every(balance => balance.isZero())) {
+                continue;
+            }
+
+            if (config.quote === 'ETH' && ethUsd === null) {
+                ethUsd = await this.getEthUsdPrice();
+            }
+            const quoteUsd = config.quote === 'ETH' ? ethUsd : 1;
+            const toUsd = async priceFeed =>
+                parseFloat(ethers.utils.formatUnits(await comet.getPrice(priceFeed), 8)) * quoteUsd;
+
+            const base = { protocol: 'compound-v3', market: config.address };
+            const baseToken = info.baseToken;
+            const basePrice = await toUsd(info.baseTokenPriceFeed);
+
+            if (!supplied.isZero()) {
+                const balance = parseFloat(ethers.utils.formatUnits(supplied, baseToken.decimals));
+                const value = balance * basePrice;
+                positions.push({
+                    ...base,
+                    asset: baseToken.address,
+                    symbol: baseToken.symbol,
+                    price: basePrice,
+                    type: 'supply',
+                    balance,
+                    value,
+                    apy: info.supplyAPY,
+                    dailyYield: value * info.supplyAPY / 100 / 365
+                });
+            }
+
+            if (!borrowed.isZero()) {
+                const balance = parseFloat(ethers.utils.formatUnits(borrowed, baseToken.decimals));
+                positions.push({
+                    ...base,
+                    asset: baseToken.address,
+                    symbol: baseToken.symbol,
+                    price: basePrice,
+                    type: 'debt',
+                    balance,
+                    value: balance * basePrice,
+                    apy: info.borrowAPY
+                });
+            }
+
+            for (const [index, asset] of info.collateralAssets.entries()) {
+                const amount = collateralBalances[index];
+                if (amount.isZero()) {
+                    continue;
+                }
+
+                const [{ symbol }, price] = await Promise.all([
+                    this.tokenRegistry.getToken(asset.address),
+                    toUsd(asset.priceFeed)
+                ]);
+                const decimals = asset.scale.length - 1; // scale is 10^decimals
+                const balance = parseFloat(ethers.utils.formatUnits(amount, decimals));
+                const value = balance * price;
+                const entry = { ...base, asset: asset.address, symbol, price, balance, value };
+
+                // Comet collateral earns nothing but is still part of the wallet's value
+                positions.push({ ...entry, type: 'supply', apy: 0, dailyYield: 0 });
+                positions.push({
+                    ...entry,
+                    type: 'collateral',
+                    liquidationThreshold: asset.liquidateCollateralFactor
+                });
+            }
+        }
+
+        return positions;
+    }
+
+    /**
+     * Get all Compound V2 and V3 positions for an account
+     */
+    async getUserPositions(account) {
+        const [v2Positions, v3Positions] = await Promise.all([
+            this.getV2Positions(account),
+            this.getV3Positions(account)
+        ]);
+
+        return [...v2Positions, ...v3Positions];
+    }
+
+    /**
+     * Get ETH/USD from the Chainlink feed used to value ETH-quoted Comet markets
+     */
+    async getEthUsdPrice() {
+        const feed = new ethers.Contract(this.ethUsdFeedAddress, AGGREGATOR_ABI, this.provider);
+        const [roundData, decimals] = await Promise.all([feed.latestRoundData(), feed.decimals()]);
+        return parseFloat(ethers.utils.formatUnits(roundData.answer, decimals));
+    }
+
+    /**
+     * Convert a V2 per-block rate mantissa to APY percentage (daily compounding)
+     */
+    blockRateToAPY(ratePerBlock) {
+        const rate = parseFloat(ethers.utils.formatUnits(ratePerBlock, 18));
+        return (Math.pow(rate * BLOCKS_PER_DAY + 1, 365) - 1) * 100;
+    }
+
+    /**
+     * Convert a Comet per-second rate to APY percentage
+     */
+    secondRateToAPY(ratePerSecond) {
+        const rate = parseFloat(ethers.utils.formatUnits(ratePerSecond, 18));
+        return (Math.pow(1 + rate, SECONDS_PER_YEAR) - 1) * 100;
+    }
+}
+
+// Minimal Comptroller ABI for market and account membership data
+const COMPTROLLER_ABI = [
+    'function getAllMarkets() external view returns (address[])',
+    'function getAssetsIn(address account) external view returns (address[])',
+    'function markets(address cToken) external view returns (bool isListed, uint256 collateralFactorMantissa, bool isComped)',
+    'function oracle() external view returns (address)'
+];
+
+// Minimal CToken ABI
+const CTOKEN_ABI = [
+    'function symbol() external view returns (string)',
+    'function underlying() external view returns (address)',
+    'function getAccountSnapshot(address account) external view returns (uint256 error, uint256 cTokenBalance, uint256 borrowBalance, uint256 exchangeRateMantissa)',
+    'function exchangeRateStored() external view returns (uint256)',
+    'function getCash() external view returns (uint256)',
+    'function totalBorrows() external view returns (uint256)',
+    'function totalReserves() external view returns (uint256)',
+    'function reserveFactorMantissa() external view returns (uint256)',
+    'function interestRateModel() external view returns (address)'
+];
+
+// Shared by JumpRateModel / WhitePaperInterestRateModel
+const RATE_MODEL_ABI = [
+    'function getBorrowRate(uint256 cash, uint256 borrows, uint256 reserves) external view returns (uint256)',
+    'function getSupplyRate(uint256 cash, uint256 borrows, uint256 reserves, uint256 reserveFactorMantissa) external view returns (uint256)'
+];
+
+const COMPOUND_ORACLE_ABI = [
+    'function getUnderlyingPrice(address cToken) external view returns (uint256)'
+];
+
+// Minimal Comet ABI
+const COMET_ABI = [
+    'function baseToken() external view returns (address)',
+    'function baseTokenPriceFeed() external view returns (address)',
+    'function numAssets() external view returns (uint8)',
+    'function getAssetInfo(uint8 i) external view returns (tuple(uint8 offset, address asset, address priceFeed, uint64 scale, uint64 borrowCollateralFactor, uint64 liquidateCollateralFactor, uint64 liquidationFactor, uint128 supplyCap))',
+    'function getUtilization() external view returns (uint256)',
+    'function getSupplyRate(uint256 utilization) external view returns (uint64)',
+    'function getBorrowRate(uint256 utilization) external view returns (uint64)',
+    'function getPrice(address priceFeed) external view returns (uint256)',
+    'function totalSupply() external view returns (uint256)',
+    'function totalBorrow() external view returns (uint256)',
+    'function balanceOf(address account) external view returns (uint256)',
+    'function borrowBalanceOf(address account) external view returns (uint256)',
+    'function collateralBalanceOf(address account, address asset) external view returns (uint128)'
+];
+
+const AGGREGATOR_ABI = [
+    'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+    'function decimals() external view returns (uint8)'
+];
+
+module.exports = CompoundAnalytics;
@@ -0,0 +1,257 @@
+/**
+ * Curve Finance Protocol Integration
+ * Handles pool state, swap quotes, stableswap imbalance and LP valuation
+ */
+
+const { ethers } = require('ethers');
+const TokenRegistry = require('../utils/tokenRegistry');
+const ChainRegistry = require('../utils/chains');
+const Cache = require('../utils/cache');
+
+const ETH_PLACEHOLDER = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+const MAX_COINS = 8;
+const FEE_PRECISION = 1e10;
+
+class CurveAnalytics {
+    constructor(provider, chainId = 1) {
+        this.provider = provider;
+        this.chainId = chainId;
+        // Pools checked when valuing a wallet's Curve LP holdings
+        this.pools = (ChainRegistry.getDeployment(chainId, 'curve') || { pools: [] }).pools;
+        this.coinCache = new Map();
+        this.tokenRegistry = TokenRegistry.forProvider(provider, chainId);
+        this.cache = Cache.getDefault();
+    }
+
+    /**
+     * Get pool information: coins, balances, A, fee and virtual price (cached briefly)
+     */
+    async getPoolInfo(poolAddress) {
+        return this.cache.wrap('pool', `${this.chainId}:curve:${poolAddress.toLowerCase()}`,
+            () => this.fetchPoolInfo(poolAddress));
+    }
+
+    async fetchPoolInfo(poolAddress) {
+        try {
+            const pool = new ethers.Contract(poolAddress, POOL_ABI, this.provider);
+            const coins = await this.getCoins(pool);
+
+            const [balances, A, fee, virtualPrice, lpToken] = await Promise.all([
+                Promise.all(coins.map((_, index) => this.callIndexed(pool, 'balances', [index]))),
+                pool.A(),
+                pool.fee(),
+                pool.get_virtual_price(),
+                this.getLpToken(pool)
+            ]);
+
+            return {
+                address: poolAddress,
+                lpToken,
+                coins: coins.map((coin, index) => ({
+                    ...coin,
+                    balance: ethers.utils.formatUnits(balances[index], coin.decimals),
+                    rawBalance: balances[index].toString()
+                })),
+                A: A.toNumber(),
+                fee: fee.toNumber() / FEE_PRECISION * 100,
+                virtualPrice: ethers.utils.formatUnits(virtualPrice, 18)
+            };
+        } catch (error) {
+            console.error('Error fetching Curve pool info:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Quote a swap of `amountIn` (human units) of coin i for coin j via get_dy
+     */
+    async getQuote(poolAddress, i, j, amountIn) {
+        const pool = new ethers.Contract(poolAddress, POOL_ABI, this.provider);
+        const coins = await this.getCoins(pool);
+
+        if (!coins[i] || !coins[j] || i === j) {
+            throw new Error(`Invalid coin indexes ${i} -> ${j} for pool with ${coins.length} coins`);
+        }
+
+        const dx = ethers.utils.parseUnits(amountIn.toString(), coins[i].decimals);
+        const dy = await this.callIndexed(pool, 'get_dy', [i, j], [dx]);
+        const amountOut = ethers.utils.formatUnits(dy, coins[j].decimals);
+
+        return {
+            pool: poolAddress,
+            tokenIn: coins[i],
+            tokenOut: coins[j],
+            amountIn: amountIn.toString(),
+            amountOut,
+            rate: parseFloat(amountOut) / parseFloat(amountIn)
+        };
+    }
+
+    /**
+     * Measure how far a stableswap pool is from balance and from peg.
+     * Balances are compared in token units and each coin is priced against coin 0
+     * with a small get_dy quote, so a depegged coin shows up even in a balanced pool.
+     */
+    async getImbalance(poolAddress) {
+        const info = await this.getPoolInfo(poolAddress);
+        const normalized = info.coins.map(coin => parseFloat(coin.balance));
+        const total = normalized.reduce((sum, balance) => sum + balance, 0);
+        const target = 1 / info.coins.length;
+
+        const weights = normalized.map(balance => (total > 0 ? balance / total : 0));
+        const imbalance = Math.max(...weights.map(weight => Math.abs(weight - target))) / target;
+
+        // Quote 0.1% of the smallest balance so the probe itself barely moves the price
+        const probe = Math.min(...normalized) * 0.001;
+        const pegs = await Promise.all(info.coins.map(async (coin, index) => {
+            if (index === 0) {
+                return { symbol: coin.symbol, price: 1, depeg: 0 };
+            }
+            // At least 100 base units, so low-decimal coins (GUSD has 2) still quote a usable rate
+            const amount = Math.max(probe, 100 / Math.pow(10, coin.decimals)).toFixed(coin.decimals);
+            const quote = await this.getQuote(poolAddress, index, 0, amount);
+            return { symbol: coin.symbol, price: quote.rate, depeg: Math.abs(1 - quote.rate) * 100 };
+        }));
+
+        return {
+            address: poolAddress,
+            virtualPrice: info.virtualPrice,
+            coins: info.coins.map((coin, index) => ({
+                symbol: coin.symbol,
+                balance: coin.balance,
+                weight: weights[index],
+                priceInCoin0: pegs[index].price,
+                depeg: pegs[index].depeg
+            })),
+            // 0 when perfectly balanced, 1 when one coin holds double (or none of) its share
+            imbalance,
+            maxDepeg: Math.max(...pegs.map(peg => peg.depeg))
+        };
+    }
+
+    /**
+     * Get a user's LP holdings in known pools with their underlying coin amounts
+     */
+    async getUserPositions(user) {
+        const balances = await Promise.all(this.pools.map(pool =>
+            new ethers.Contract(pool.lpToken, ERC20_ABI, this.provider).balanceOf(user)
+        ));
+
+        const held = this.pools.filter((_, index) => !balances[index].isZero());
+
+        return Promise.all(held.map(async pool => {
+            const lpBalance = balances[this.pools.indexOf(pool)];
+            const lpToken = new ethers.Contract(pool.lpToken, ERC20_ABI, this.provider);
+            const [info, totalSupply] = await Promise.all([
+                this.getPoolInfo(pool.address),
+                lpToken.totalSupply()
+            ]);
+
+            // Pool share as a WAD (1e18 = 100%) to keep precision for small holdings
+            const shareWad = lpBalance.mul(ethers.constants.WeiPerEther).div(totalSupply);
+
+            return {
+                protocol: 'curve',
+                pool: pool.address,
+                name: pool.name,
+                lpToken: pool.lpToken,
+                lpBalance: ethers.utils.formatUnits(lpBalance, 18),
+                share: parseFloat(ethers.utils.formatUnits(shareWad, 18)),
+                virtualPrice: info.virtualPrice,
+                underlying: info.coins.map(coin => ({
+                    address: coin.address,
+                    symbol: coin.symbol,
+                    amount: ethers.utils.formatUnits(
+                        ethers.BigNumber.from(coin.rawBalance).mul(shareWad).div(ethers.constants.WeiPerEther),
+                        coin.decimals
+                    )
+                }))
+            };
+        }));
+    }
+
+    /**
+     * Read pool coins until the index reverts, with symbol/decimals metadata.
+     * Any other error is rethrown so a failing RPC does not cache a truncated list.
+     */
+    async getCoins(pool) {
+        const key = pool.address.toLowerCase();
+        if (this.coinCache.has(key)) {
+            return this.coinCache.get(key);
+        }
+
+        const addresses = [];
+        for (let index = 0; index < MAX_COINS; index++) {
+            try {
+                addresses.push(await this.callIndexed(pool, 'coins', [index]));
+            } catch (error) {
+                if (error.code !== ethers.errors.CALL_EXCEPTION) {
+                    throw error;
+                }
+                break;
+            }
+        }
+
+        const coins = await Promise.all(addresses.map(async address => {
+            if (address.toLowerCase() === ETH_PLACEHOLDER.toLowerCase()) {
+                return { address, symbol: 'ETH', decimals: 18 };
+            }
+            const { symbol, decimals } = await this.tokenRegistry.getToken(address);
+            return { address, symbol, decimals };
+        }));
+
+        this.coinCache.set(key, coins);
+        return coins;
+    }
+
+    /**
+     * Resolve a pool's LP token; newer factory pools are their own LP token
+     */
+    async getLpToken(pool) {
+        try {
+            return await pool.lp_token();
+        } catch (error) {
+            try {
+                return await pool.token();
+            } catch (innerError) {
+                return pool.address;
+            }
+        }
+    }
+
+    /**
+     * Call a coin-indexed method, trying the uint256 signature before the legacy int128 one
+     */
+    async callIndexed(pool, method, indexes, extraArgs = []) {
+        const extraTypes = extraArgs.map(() => 'uint256');
+        const signature = type => `${method}(${[...indexes.map(() => type), ...extraTypes].join(',')})`;
+
+        try {
+            return await pool[signature('uint256')](...indexes, ...extraArgs);
+        } catch (error) {
+            return pool[signature('int128')](...indexes, ...extraArgs);
+        }
+    }
+}
+
+// Curve pools differ between uint256 and int128 coin indexes, so both variants are listed
+const POOL_ABI = [
+    'function coins(uint256 i) external view returns (address)',
+    'function coins(int128 i) external view returns (address)',
+    'function balances(uint256 i) external view returns (uint256)',
+    'function balances(int128 i) external view returns (uint256)',
+    'function get_dy(uint256 i, uint256 j, uint256 dx) external view returns (uint256)',
+    'function get_dy(int128 i, int128 j, uint256 dx) external view returns (uint256)',
+    'function A() external view returns (uint256)',
+    'function fee() external view returns (uint256)',
+    'function get_virtual_price() external view returns (uint256)',
+    'function lp_token() external view returns (address)',
+    'function token() external view returns (address)'
+];
+
+const ERC20_ABI = [
+    'function balanceOf(address owner) view returns (uint256)',
+    'function totalSupply() view returns (uint256)'
+];
+
+module.exports = CurveAnalytics;
@@ -4,40 +4,104 @@
  */
 
 const { ethers } = require('ethers');
-const { Pool, Position, nearestUsableTick } = require('@uniswap/v3-sdk');
+const { Pool, Position, nearestUsableTick, tickToPrice, TickMath, TICK_SPACINGS } = require('@uniswap/v3-sdk');
 const { Token, CurrencyAmount, Percent } = require('@uniswap/sdk-core');
+const ContractUtils = require('../utils/contract');
+const TokenRegistry = require('../utils/tokenRegistry');
+const ChainRegistry = require('../utils/chains');
+const Cache = require('../utils/cache');
+
+const LOG_CHUNK_SIZE = 5000;
+const SECONDS_PER_YEAR = 31536000;
+const REFERENCE_LIQUIDITY = '1000000000000000000';
+const FEE_TIERS = [100, 500, 3000, 10000];
+const MAX_ROUTES = 40;
 
 class UniswapAnalytics {
-    constructor(provider, chainId = 1) {
+    constructor(provider, priceOracle = null, chainId = 1) {
         this.provider = provider;
+        this.priceOracle = priceOracle;
         this.chainId = chainId;
-        this.factoryAddress = '0x1F98431c8aD98523631AE4a59f267346ea31F984';
-        this.quoterAddress = '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6';
+        // Addresses are undefined on chains without the deployment
+        const v3 = ChainRegistry.getDeployment(chainId, 'uniswapV3') || {};
+        const v2 = ChainRegistry.getDeployment(chainId, 'uniswapV2') || {};
+        this.factoryAddress = v3.factory;
+        this.quoterAddress = v3.quoter;
+        this.positionManagerAddress = v3.positionManager;
+        this.v2FactoryAddress = v2.factory;
+        this.contractUtils = new ContractUtils(provider);
+        this.tokenRegistry = TokenRegistry.forProvider(provider, chainId);
+        this.cache = Cache.getDefault();
+
+        const tokenAddress = symbol => (this.tokenRegistry.getBySymbol(symbol) || {}).address;
+        // V2 pairs checked when valuing a wallet's LP tokens
+        this.v2Pairs = [['USDC', 'WETH'], ['WETH', 'USDT'], ['DAI', 'WETH'], ['WBTC', 'WETH']]
+            .map(pair => pair.map(tokenAddress))
+            .filter(pair => this.v2FactoryAddress && pair.every(Boolean));
+        // Intermediate tokens tried when routing multi-hop swaps, starting with wrapped native
+        const chain = ChainRegistry.getChain(chainId);
+        const wrappedNative = chain ? chain.nativeToken.wrappedSymbol : 'WETH';
+        this.baseTokens = [...new Set([wrappedNative, 'WETH', 'USDC', 'USDT', 'DAI', 'WBTC'])]
+            .map(tokenAddress)
+            .filter(Boolean);
+        this.tokenCache = new Map();
     }
 
     /**
      * Get pool information for a token pair
      */
     async getPoolInfo(token0Address, token1Address, fee) {
+        const poolAddress = await this.computePoolAddress(token0Address, token1Address, fee);
+        return this.getPoolInfoByAddress(poolAddress);
+    }
+
+    /**
+     * Get pool information directly from a pool contract address.
+     * All reads are pinned to one block (latest unless `blockTag` is given);
+     * latest state is cached briefly.
+     */
+    async getPoolInfoByAddress(poolAddress, blockTag) {
+        if (blockTag !== undefined) {
+            return this.fetchPoolInfo(poolAddress, blockTag);
+        }
+        return this.cache.wrap('pool', `${this.chainId}:uniswapV3:${poolAddress.toLowerCase()}`,
+            () => this.fetchPoolInfo(poolAddress));
+    }
+
+    async fetchPoolInfo(poolAddress, blockTag) {
         try {
-            const poolAddress = await this.computePoolAddress(token0Address, token1Address, fee);
             const poolContract = new ethers.Contract(poolAddress, POOL_ABI, this.provider);
+            const blockNumber = blockTag !== undefined ? blockTag : await this.provider.getBlockNumber();
             
-            const [slot0, liquidity, token0, token1] = await Promise.all([
-                poolContract.slot0(),
-                poolContract.liquidity(),
-                poolContract.token0(),
-                poolContract.token1()
+            const [slot0, liquidity, token0Address, token1Address, fee] = await this.contractUtils.batchCall(
+                ['slot0', 'liquidity', 'token0', 'token1', 'fee'].map(method => ({ contract: poolContract, method })),
+                { blockTag: blockNumber }
+            );
+            const [token0, token1] = await Promise.all([
+                this.getToken(token0Address),
+                this.getToken(token1Address)
             ]);
 
+            const price = this.calculatePrice(slot0.sqrtPriceX96, token0.decimals, token1.decimals);
+
             return {
                 address: poolAddress,
-                token0: token0,
-                token1: token1,
+                blockNumber,
+                token0: token0Address,
+                token1: token1Address,
                 fee: fee,
+                tokens: [token0, token1].map(token => ({
+                    address: token.address,
+                    name: token.name,
+                    symbol: token.symbol,
+                    decimals: token.decimals
+                })),
                 sqrtPriceX96: slot0.sqrtPriceX96,
                 tick: slot0.tick,
                 liquidity: liquidity.toString(),
+                // token0 priced in token1, and the inverse
+                price,
+                invertedPrice: parseFloat(price) > 0 ? (1 / parseFloat(price)).toString() : '0',
                 observationIndex: slot0.observationIndex,
                 observationCardinality: slot0.observationCardinality
             };
@@ -47,75 +111,657 @@ class UniswapAnalytics {
         }
     }
 
+    /**
+     * Resolve a pool from either its address or a (token0, token1, fee) triple
+     */
+    async resolvePoolAddress({ address, token0, token1, fee }) {
+        if (address) {
+            return ethers.utils.getAddress(address);
+        }
+        return this.computePoolAddress(token0, token1, parseInt(fee));
+    }
+
+    /**
+     * Pool TVL from token balances held by the pool; null when prices are unavailable.
+     * Kept out of getPoolInfo, which portfolio valuation calls once per position.
+     */
+    async getPoolTVL(poolAddress, token0, token1, blockTag) {
+        if (!this.priceOracle) {
+            return null;
+        }
+
+        try {
+            const [[balance0, balance1], price0, price1] = await Promise.all([
+                this.contractUtils.batchCall(
+                    [token0, token1].map(token => ({
+                        contract: new ethers.Contract(token.address, ERC20_BALANCE_ABI, this.provider),
+                        method: 'balanceOf',
+                        args: [poolAddress]
+                    })),
+                    { blockTag }
+                ),
+                this.getUsdPrice(token0.symbol),
+                this.getUsdPrice(token1.symbol)
+            ]);
+
+            const amount0 = parseFloat(ethers.utils.formatUnits(balance0, token0.decimals));
+            const amount1 = parseFloat(ethers.utils.formatUnits(balance1, token1.decimals));
+
+            return {
+                amount0,
+                amount1,
+                usd: amount0 * price0 + amount1 * price1
+            };
+        } catch (error) {
+            console.log(`Error computing TVL for ${poolAddress}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Reconstruct active liquidity per initialized tick within ±rangePercent of the
+     * current price, with token amounts per band and a depth chart showing how much
+     * has to be swapped to move the price by each level (fees excluded).
+     */
+    async getLiquidityDistribution(poolAddress, rangePercent = 10) {
+        if (!(rangePercent > 0 && rangePercent < 100)) {
+            throw new Error('Range must be a percentage between 0 and 100');
+        }
+
+        const poolContract = new ethers.Contract(poolAddress, POOL_ABI, this.provider);
+        const [poolInfo, tickSpacing] = await Promise.all([
+            this.getPoolInfoByAddress(poolAddress),
+            poolContract.tickSpacing()
+        ]);
+        const [token0, token1] = await Promise.all([
+            this.getToken(poolInfo.token0),
+            this.getToken(poolInfo.token1)
+        ]);
+
+        const currentTick = poolInfo.tick;
+        const range = rangePercent / 100;
+        const minTick = Math.max(
+            currentTick + Math.floor(Math.log(1 - range) / Math.log(1.0001)),
+            TickMath.MIN_TICK
+        );
+        const maxTick = Math.min(
+            currentTick + Math.ceil(Math.log(1 + range) / Math.log(1.0001)),
+            TickMath.MAX_TICK
+        );
+
+        const initializedTicks = await this.getInitializedTicks(poolContract, tickSpacing, minTick, maxTick);
+
+        const sqrtAt = tick => parseFloat(TickMath.getSqrtRatioAtTick(tick).toString()) / 2 ** 96;
+        const sqrtPrice = parseFloat(ethers.BigNumber.from(poolInfo.sqrtPriceX96).toString()) / 2 ** 96;
+        const currentLiquidity = parseFloat(poolInfo.liquidity);
+
+        // Walk outwards from the current price, applying liquidityNet at each crossed tick
+        const above = [];
+        let liquidity = currentLiquidity;
+        let previous = { tick: currentTick, sqrt: sqrtPrice };
+        for (const tick of initializedTicks.filter(t => t.tick > currentTick)) {
+            above.push({ tickLower: previous.tick, tickUpper: tick.tick, sqrtLower: previous.sqrt, sqrtUpper: sqrtAt(tick.tick), liquidity });
+            liquidity += tick.liquidityNet;
+            previous = { tick: tick.tick, sqrt: sqrtAt(tick.tick) };
+        }
+        above.push({ tickLower: previous.tick, tickUpper: maxTick, sqrtLower: previous.sqrt, sqrtUpper: sqrtAt(maxTick), liquidity });
+
+        const below = [];
+        liquidity = currentLiquidity;
+        previous = { tick: currentTick, sqrt: sqrtPrice };
+        for (const tick of initializedTicks.filter(t => t.tick <= currentTick).reverse()) {
+            below.push({ tickLower: tick.tick, tickUpper: previous.tick, sqrtLower: sqrtAt(tick.tick), sqrtUpper: previous.sqrt, liquidity });
+            liquidity -= tick.liquidityNet;
+            previous = { tick: tick.tick, sqrt: sqrtAt(tick.tick) };
+        }
+        below.push({ tickLower: minTick, tickUpper: previous.tick, sqrtLower: sqrtAt(minTick), sqrtUpper: previous.sqrt, liquidity });
+
+        const scale0 = 10 ** token0.decimals;
+        const scale1 = 10 ** token1.decimals;
+        const toPrice = sqrt => sqrt * sqrt * (scale0 / scale1);
+
+        // Above the price a band holds only token0, below it only token1
+        const bands = [
+            ...[...below].reverse().map(band => ({ ...band, amount0: 0, amount1: band.liquidity * (band.sqrtUpper - band.sqrtLower) / scale1 })),
+            ...above.map(band => ({ ...band, amount0: band.liquidity * (1 / band.sqrtLower - 1 / band.sqrtUpper) / scale0, amount1: 0 }))
+        ].filter(band => band.tickUpper > band.tickLower || band.sqrtUpper > band.sqrtLower);
+
+        const depthLevels = [0.5, 1, 2, 5, 10, 25, 50].filter(level => level <= rangePercent);
+        const depth = depthLevels.map(level => {
+            const upTarget = sqrtPrice * Math.sqrt(1 + level / 100);
+            const downTarget = sqrtPrice * Math.sqrt(1 - level / 100);
+
+            let token1In = 0;
+            let token0Out = 0;
+            for (const band of above) {
+                if (band.sqrtLower >= upTarget) break;
+                const upper = Math.min(band.sqrtUpper, upTarget);
+                token1In += band.liquidity * (upper - band.sqrtLower);
+                token0Out += band.liquidity * (1 / band.sqrtLower - 1 / upper);
+            }
+
+            let token0In = 0;
+            let token1Out = 0;
+            for (const band of below) {
+                if (band.sqrtUpper <= downTarget) break;
+                const lower = Math.max(band.sqrtLower, downTarget);
+                token0In += band.liquidity * (1 / lower - 1 / band.sqrtUpper);
+                token1Out += band.liquidity * (band.sqrtUpper - lower);
+            }
+
+            return {
+                percent: level,
+                up: { [`${token1.symbol}In`]: token1In / scale1, [`${token0.symbol}Out`]: token0Out / scale0 },
+                down: { [`${token0.symbol}In`]: token0In / scale0, [`${token1.symbol}Out`]: token1Out / scale1 }
+            };
+        });
+
+        return {
+            pool: poolAddress,
+            token0: { address: token0.address, symbol: token0.symbol, decimals: token0.decimals },
+            token1: { address: token1.address, symbol: token1.symbol, decimals: token1.decimals },
+            currentTick,
+            tickSpacing,
+            price: toPrice(sqrtPrice),
+            rangePercent,
+            liquidity: bands.map(band => ({
+                tickLower: band.tickLower,
+                tickUpper: band.tickUpper,
+                priceLower: toPrice(band.sqrtLower),
+                priceUpper: toPrice(band.sqrtUpper),
+                liquidity: band.liquidity.toString(),
+                amount0: band.amount0,
+                amount1: band.amount1
+            })),
+            depth
+        };
+    }
+
+    /**
+     * Read initialized ticks between minTick and maxTick from the pool's tick bitmap
+     */
+    async getInitializedTicks(poolContract, tickSpacing, minTick, maxTick) {
+        // Bitmap words cover 256 compressed ticks each (tick / tickSpacing)
+        const compress = tick => Math.floor(tick / tickSpacing);
+        const minWord = compress(minTick) >> 8;
+        const maxWord = compress(maxTick) >> 8;
+
+        const words = await this.contractUtils.batchCall(
+            Array.from({ length: maxWord - minWord + 1 }, (_, index) => ({
+                contract: poolContract,
+                method: 'tickBitmap',
+                args: [minWord + index]
+            }))
+        );
+
+        const tickIndexes = [];
+        words.forEach((word, index) => {
+            const bitmap = BigInt(word.toString());
+            if (bitmap === 0n) {
+                return;
+            }
+            for (let bit = 0; bit < 256; bit++) {
+                if ((bitmap >> BigInt(bit)) & 1n) {
+                    const tick = (((minWord + index) << 8) + bit) * tickSpacing;
+                    if (tick >= minTick && tick <= maxTick) {
+                        tickIndexes.push(tick);
+                    }
+                }
+            }
+        });
+
+        const ticks = await this.contractUtils.batchCall(
+            tickIndexes.map(tick => ({ contract: poolContract, method: 'ticks', args: [tick] }))
+        );
+
+        return tickIndexes.map((tick, index) => ({
+            tick,
+            liquidityNet: parseFloat(ticks[index].liquidityNet.toString()),
+            liquidityGross: ticks[index].liquidityGross.toString()
+        }));
+    }
+
+    /**
+     * Get all V3 liquidity positions (NonfungiblePositionManager NFTs) owned by an address
+     */
+    async getPositions(owner) {
+        if (!this.positionManagerAddress) {
+            return [];
+        }
+
+        const positionManager = new ethers.Contract(
+            this.positionManagerAddress,
+            POSITION_MANAGER_ABI,
+            this.provider
+        );
+
+        const balance = await positionManager.balanceOf(owner);
+        const tokenIds = await Promise.all(
+            Array.from({ length: balance.toNumber() }, (_, index) =>
+                positionManager.tokenOfOwnerByIndex(owner, index)
+            )
+        );
+
+        const positions = await Promise.all(
+            tokenIds.map(tokenId => this.getPosition(tokenId, owner))
+        );
+
+        // Burned-down positions with nothing left to collect are just empty NFTs
+        return positions.filter(position =>
+            position.liquidity !== '0' ||
+            position.uncollectedFees.raw0 !== '0' ||
+            position.uncollectedFees.raw1 !== '0'
+        );
+    }
+
+    /**
+     * Decode a single position NFT: tick range, underlying amounts and uncollected fees
+     */
+    async getPosition(tokenId, owner) {
+        const positionManager = new ethers.Contract(
+            this.positionManagerAddress,
+            POSITION_MANAGER_ABI,
+            this.provider
+        );
+
+        const position = await positionManager.positions(tokenId);
+        const [token0, token1, poolInfo, fees] = await Promise.all([
+            this.getToken(position.token0),
+            this.getToken(position.token1),
+            this.getPoolInfo(position.token0, position.token1, position.fee),
+            this.getUncollectedFees(positionManager, tokenId, owner)
+        ]);
+
+        const pool = new Pool(
+            token0,
+            token1,
+            position.fee,
+            poolInfo.sqrtPriceX96.toString(),
+            poolInfo.liquidity,
+            poolInfo.tick
+        );
+        const sdkPosition = new Position({
+            pool,
+            liquidity: position.liquidity.toString(),
+            tickLower: position.tickLower,
+            tickUpper: position.tickUpper
+        });
+
+        // Active liquidity covers [tickLower, tickUpper)
+        const inRange = poolInfo.tick >= position.tickLower && poolInfo.tick < position.tickUpper;
+
+        return {
+            tokenId: tokenId.toString(),
+            pool: poolInfo.address,
+            fee: position.fee,
+            token0: { address: token0.address, symbol: token0.symbol, decimals: token0.decimals },
+            token1: { address: token1.address, symbol: token1.symbol, decimals: token1.decimals },
+            tickLower: position.tickLower,
+            tickUpper: position.tickUpper,
+            currentTick: poolInfo.tick,
+            inRange,
+            liquidity: position.liquidity.toString(),
+            priceLower: tickToPrice(token0, token1, position.tickLower).toSignificant(8),
+            priceUpper: tickToPrice(token0, token1, position.tickUpper).toSignificant(8),
+            currentPrice: pool.token0Price.toSignificant(8),
+            amount0: sdkPosition.amount0.toExact(),
+            amount1: sdkPosition.amount1.toExact(),
+            uncollectedFees: {
+                amount0: ethers.utils.formatUnits(fees.amount0, token0.decimals),
+                amount1: ethers.utils.formatUnits(fees.amount1, token1.decimals),
+                raw0: fees.amount0.toString(),
+                raw1: fees.amount1.toString()
+            }
+        };
+    }
+
+    /**
+     * Uncollected fees (including accrued but not yet poked fees) for a position.
+     * Simulates collect() from the owner, which is exactly what the owner would receive.
+     */
+    async getUncollectedFees(positionManager, tokenId, owner) {
+        const MAX_UINT128 = ethers.BigNumber.from(2).pow(128).sub(1);
+        const { amount0, amount1 } = await positionManager.callStatic.collect(
+            {
+                tokenId,
+                recipient: owner,
+                amount0Max: MAX_UINT128,
+                amount1Max: MAX_UINT128
+            },
+            { from: owner }
+        );
+
+        return { amount0, amount1 };
+    }
+
+    /**
+     * Read a deployment address, failing clearly on chains where it does not exist
+     */
+    requireDeployment(name) {
+        if (!this[name]) {
+            throw new Error(`Uniswap ${name.startsWith('v2') ? 'V2' : 'V3'} is not deployed on chain ${this.chainId}`);
+        }
+        return this[name];
+    }
+
+    /**
+     * Get an SDK Token for an ERC20 address (cached)
+     */
+    async getToken(address) {
+        const key = address.toLowerCase();
+        if (!this.tokenCache.has(key)) {
+            const info = await this.tokenRegistry.getToken(address);
+            this.tokenCache.set(key, new Token(this.chainId, info.address, info.decimals, info.symbol, info.name));
+        }
+        return this.tokenCache.get(key);
+    }
+
     /**
      * Calculate current price from pool data
      */
     calculatePrice(sqrtPriceX96, token0Decimals, token1Decimals) {
-        const Q96 = ethers.BigNumber.from(2).pow(96);
-        const price = sqrtPriceX96.mul(sqrtPriceX96).div(Q96);
-        
-        const adjustedPrice = price.mul(ethers.BigNumber.from(10).pow(token0Decimals))
-                                  .div(ethers.BigNumber.from(10).pow(token1Decimals));
-        
-        return ethers.utils.formatUnits(adjustedPrice, token1Decimals);
+        // price = (sqrtPriceX96 / 2^96)^2 scaled by 10^(decimals0 - decimals1), kept at 18dp
+        const Q192 = ethers.BigNumber.from(2).pow(192);
+        const sqrtPrice = ethers.BigNumber.from(sqrtPriceX96);
+
+        const adjustedPrice = sqrtPrice.mul(sqrtPrice)
+            .mul(ethers.BigNumber.from(10).pow(18 + token0Decimals))
+            .div(ethers.BigNumber.from(10).pow(token1Decimals))
+            .div(Q192);
+
+        return ethers.utils.formatUnits(adjustedPrice, 18);
     }
 
     /**
-     * Get historical price data for a pool
+     * Get historical price data for a pool between two unix timestamps (seconds)
      */
     async getHistoricalPrices(poolAddress, fromTimestamp, toTimestamp) {
+        const [fromBlock, toBlock] = await Promise.all([
+            this.getBlockFromTimestamp(fromTimestamp),
+            this.getBlockFromTimestamp(toTimestamp)
+        ]);
+        const { token0, token1, swaps } = await this.getSwaps(poolAddress, fromBlock, toBlock);
+
+        const timestamps = await Promise.all(
+            swaps.map(swap => this.contractUtils.getBlockTimestamp(swap.blockNumber))
+        );
+
+        return swaps.map((swap, index) => ({
+            timestamp: timestamps[index],
+            blockNumber: swap.blockNumber,
+            price: this.calculatePrice(swap.sqrtPriceX96, token0.decimals, token1.decimals),
+            volume: Math.abs(swap.amount0).toString(),
+            txHash: swap.txHash
+        }));
+    }
+
+    /**
+     * Calculate fee APR for a tick range from the pool's Swap events over a window.
+     * Each swap's fee is credited pro rata to the position's share of active
+     * liquidity while the pool tick sat inside [tickLower, tickUpper).
+     * Without `liquidity` the position is a hypothetical `depositUSD` deposit added
+     * on top of pool liquidity; a given `liquidity` is assumed to already be in the pool.
+     */
+    async calculateLiquidityAPY(poolAddress, positionTickLower, positionTickUpper, options = {}) {
+        const { windowSeconds = 86400, depositUSD = 1000, liquidity = null } = options;
+        const window = await this.getSwapWindow(poolAddress, windowSeconds);
+        const { token0, token1, fee, swaps, price0, price1 } = window;
+
+        const tickSpacing = TICK_SPACINGS[fee];
+        if (positionTickLower % tickSpacing !== 0 || positionTickUpper % tickSpacing !== 0 ||
+            positionTickLower >= positionTickUpper) {
+            throw new Error(`Tick range must be ordered multiples of the pool tick spacing (${tickSpacing})`);
+        }
+
+        const poolInfo = await this.getPoolInfoByAddress(poolAddress);
+        const pool = new Pool(
+            token0,
+            token1,
+            fee,
+            poolInfo.sqrtPriceX96.toString(),
+            poolInfo.liquidity,
+            poolInfo.tick
+        );
+
+        const valueOf = positionLiquidity => {
+            const position = new Position({
+                pool,
+                liquidity: positionLiquidity,
+                tickLower: positionTickLower,
+                tickUpper: positionTickUpper
+            });
+            return parseFloat(position.amount0.toExact()) * price0 +
+                parseFloat(position.amount1.toExact()) * price1;
+        };
+
+        let positionLiquidity;
+        if (liquidity !== null) {
+            positionLiquidity = parseFloat(liquidity.toString());
+        } else {
+            const referenceValue = valueOf(REFERENCE_LIQUIDITY);
+            positionLiquidity = referenceValue > 0
+                ? parseFloat(REFERENCE_LIQUIDITY) * depositUSD / referenceValue
+                : 0;
+        }
+        const positionValueUSD = liquidity !== null ? valueOf(liquidity.toString()) : depositUSD;
+
+        const isInRange = tick => tick >= positionTickLower && tick < positionTickUpper;
+        const feeRate = fee / 1000000;
+
+        let feesUSD = 0;
+        let inRangeSeconds = 0;
+        let previousTick = window.startTick;
+        let previousLiquidity = window.startLiquidity;
+        let previousTime = window.fromTimestamp;
+
+        for (const swap of swaps) {
+            const timestamp = window.estimateTimestamp(swap.blockNumber);
+            if (isInRange(previousTick)) {
+                inRangeSeconds += timestamp - previousTime;
+
+                // Fees accrue to liquidity active when the swap starts. A Swap event logs the
+                // liquidity after it, so the previous swap's value stands in for the starting one;
+                // mints and burns in between, and ticks crossed within a swap, are not modelled.
+                const activeLiquidity = parseFloat(previousLiquidity) + (liquidity === null ? positionLiquidity : 0);
+                if (activeLiquidity > 0) {
+                    feesUSD += swap.volumeUSD * feeRate * (positionLiquidity / activeLiquidity);
+                }
+            }
+            previousTick = swap.tick;
+            previousLiquidity = swap.liquidity;
+            previousTime = timestamp;
+        }
+        if (isInRange(previousTick)) {
+            inRangeSeconds += window.toTimestamp - previousTime;
+        }
+
+        const elapsed = window.toTimestamp - window.fromTimestamp;
+        // Annualized over the resolved blocks' span, which can differ from the requested window
+        const apr = positionValueUSD > 0 && elapsed > 0
+            ? (feesUSD / positionValueUSD) * (SECONDS_PER_YEAR / elapsed) * 100
+            : 0;
+
+        return {
+            pool: poolAddress,
+            tickLower: positionTickLower,
+            tickUpper: positionTickUpper,
+            inRange: isInRange(poolInfo.tick),
+            timeInRange: elapsed > 0 ? inRangeSeconds / elapsed : 0,
+            apr,
+            apy: (Math.pow(1 + apr / 100 / 365, 365) - 1) * 100,
+            feesUSD,
+            positionValueUSD,
+            positionLiquidity: positionLiquidity.toString(),
+            volumeUSD: window.volumeUSD,
+            poolFeesUSD: window.volumeUSD * feeRate,
+            swapCount: swaps.length,
+            windowSeconds
+        };
+    }
+
+    /**
+     * Get swap volume and fees in USD over a trailing window
+     */
+    async getVolume(poolAddress, windowSeconds = 86400) {
+        const window = await this.getSwapWindow(poolAddress, windowSeconds);
+        const feeRate = window.fee / 1000000;
+
+        return {
+            pool: poolAddress,
+            windowSeconds,
+            fromBlock: window.fromBlock,
+            toBlock: window.toBlock,
+            swapCount: window.swaps.length,
+            volume0: window.swaps.reduce((sum, swap) => sum + Math.abs(swap.amount0), 0),
+            volume1: window.swaps.reduce((sum, swap) => sum + Math.abs(swap.amount1), 0),
+            volumeUSD: window.volumeUSD,
+            feesUSD: window.volumeUSD * feeRate,
+            fee: window.fee
+        };
+    }
+
+    /**
+     * Load a trailing window of swaps priced in USD, with the pool tick at the window start
+     */
+    async getSwapWindow(poolAddress, windowSeconds) {
+        const now = Math.floor(Date.now() / 1000);
+        const [fromBlock, toBlock] = await Promise.all([
+            this.getBlockFromTimestamp(now - windowSeconds),
+            this.getBlockFromTimestamp(now)
+        ]);
+
         const poolContract = new ethers.Contract(poolAddress, POOL_ABI, this.provider);
-        
-        // Get swap events
-        const filter = poolContract.filters.Swap();
-        const events = await poolContract.queryFilter(
-            filter,
-            await this.getBlockFromTimestamp(fromTimestamp),
-            await this.getBlockFromTimestamp(toTimestamp)
-        );
-
-        return events.map(event => ({
-            timestamp: event.blockNumber,
-            price: this.calculatePrice(
-                event.args.sqrtPriceX96,
-                18, // Assuming 18 decimals, should be dynamic
-                18
-            ),
-            volume: event.args.amount0.toString(),
-            txHash: event.transactionHash
+        const [fee, startSlot0, startLiquidity, fromTimestamp, toTimestamp, swapData] = await Promise.all([
+            poolContract.fee(),
+            poolContract.slot0({ blockTag: fromBlock }),
+            poolContract.liquidity({ blockTag: fromBlock }),
+            this.contractUtils.getBlockTimestamp(fromBlock),
+            this.contractUtils.getBlockTimestamp(toBlock),
+            this.getSwaps(poolAddress, fromBlock + 1, toBlock)
+        ]);
+        const { token0, token1, swaps } = swapData;
+
+        const [price0, price1] = await Promise.all([
+            this.getUsdPrice(token0.symbol),
+            this.getUsdPrice(token1.symbol)
+        ]);
+
+        // Swap volume is measured on the input side (the positive amount)
+        const pricedSwaps = swaps.map(swap => ({
+            ...swap,
+            volumeUSD: swap.amount0 > 0 ? swap.amount0 * price0 : swap.amount1 * price1
         }));
+
+        const blockTime = toBlock > fromBlock ? (toTimestamp - fromTimestamp) / (toBlock - fromBlock) : 0;
+
+        return {
+            token0,
+            token1,
+            fee,
+            fromBlock,
+            toBlock,
+            fromTimestamp,
+            toTimestamp,
+            startTick: startSlot0.tick,
+            startLiquidity: startLiquidity.toString(),
+            price0,
+            price1,
+            swaps: pricedSwaps,
+            volumeUSD: pricedSwaps.reduce((sum, swap) => sum + swap.volumeUSD, 0),
+            // Interpolated instead of one getBlock per swap
+            estimateTimestamp: blockNumber => fromTimestamp + (blockNumber - fromBlock) * blockTime
+        };
     }
 
     /**
-     * Calculate APY for liquidity provision
+     * Get decoded Swap events for a pool over a block range, amounts in token units
      */
-    async calculateLiquidityAPY(poolAddress, positionTickLower, positionTickUpper) {
-        const poolInfo = await this.getPoolInfo(poolAddress);
-        const currentTick = poolInfo.tick;
-        
-        // Check if position is in range
-        const inRange = currentTick >= positionTickLower && currentTick <= positionTickUpper;
-        
-        if (!inRange) {
-            return { apy: 0, inRange: false };
+    async getSwaps(poolAddress, fromBlock, toBlock) {
+        const poolContract = new ethers.Contract(poolAddress, POOL_ABI, this.provider);
+        const [token0Address, token1Address] = await Promise.all([
+            poolContract.token0(),
+            poolContract.token1()
+        ]);
+        const [token0, token1] = await Promise.all([
+            this.getToken(token0Address),
+            this.getToken(token1Address)
+        ]);
+
+        const events = [];
+        for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+            const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+            events.push(...await poolContract.queryFilter(poolContract.filters.Swap(), start, end));
         }
 
-        // Get 24h volume and fees
-        const volume24h = await this.get24hVolume(poolAddress);
-        const feeRate = poolInfo.fee / 1000000; // Convert to decimal
-        const fees24h = volume24h * feeRate;
-        
-        // Calculate APY (simplified)
-        const apy = (fees24h * 365) / poolInfo.liquidity * 100;
-        
         return {
-            apy: apy,
-            inRange: true,
-            volume24h: volume24h,
-            fees24h: fees24h
+            token0,
+            token1,
+            swaps: events.map(event => ({
+                blockNumber: event.blockNumber,
+                logIndex: event.logIndex,
+                txHash: event.transactionHash,
+                amount0: parseFloat(ethers.utils.formatUnits(event.args.amount0, token0.decimals)),
+                amount1: parseFloat(ethers.utils.formatUnits(event.args.amount1, token1.decimals)),
+                sqrtPriceX96: event.args.sqrtPriceX96.toString(),
+                liquidity: event.args.liquidity.toString(),
+                tick: event.args.tick
+            }))
         };
     }
 
+    /**
+     * Call `onSwap` with each new Swap on a pool as it is mined, decoded like getSwaps plus
+     * the post-swap price. Resolves to a function that stops watching.
+     */
+    async watchSwaps(poolAddress, onSwap) {
+        const poolContract = new ethers.Contract(poolAddress, POOL_ABI, this.provider);
+        const [token0Address, token1Address] = await Promise.all([
+            poolContract.token0(),
+            poolContract.token1()
+        ]);
+        const [token0, token1] = await Promise.all([
+            this.getToken(token0Address),
+            this.getToken(token1Address)
+        ]);
+
+        const filter = poolContract.filters.Swap();
+        const listener = (...args) => {
+            const event = args[args.length - 1];
+            const price = this.calculatePrice(event.args.sqrtPriceX96, token0.decimals, token1.decimals);
+            onSwap({
+                pool: poolAddress,
+                blockNumber: event.blockNumber,
+                logIndex: event.logIndex,
+                txHash: event.transactionHash,
+                sender: event.args.sender,
+                recipient: event.args.recipient,
+                token0: token0.symbol,
+                token1: token1.symbol,
+                amount0: parseFloat(ethers.utils.formatUnits(event.args.amount0, token0.decimals)),
+                amount1: parseFloat(ethers.utils.formatUnits(event.args.amount1, token1.decimals)),
+                sqrtPriceX96: event.args.sqrtPriceX96.toString(),
+                liquidity: event.args.liquidity.toString(),
+                tick: event.args.tick,
+                // token0 priced in token1
+                price
+            });
+        };
+
+        poolContract.on(filter, listener);
+        return () => poolContract.off(filter, listener);
+    }
+
+    /**
+     * Get a token's USD price from the PriceOracle
+     */
+    async getUsdPrice(symbol) {
+        if (!this.priceOracle) {
+            throw new Error('PriceOracle is required for USD valuation');
+        }
+        const price = await this.priceOracle.getPrice(symbol);
+        return price.usd;
+    }
+
     /**
      * Get top pools by TVL
      */
@@ -136,6 +782,250 @@ class UniswapAnalytics {
         ];
     }
 
+    /**
+     * Quote an exact-input swap, trying direct and multi-hop routes across fee tiers
+     * through the QuoterV2 and returning the best output with price impact and gas cost
+     */
+    async getQuote(tokenIn, tokenOut, amountIn, options = {}) {
+        const { maxHops = 3 } = options;
+
+        if (tokenIn.toLowerCase() === tokenOut.toLowerCase()) {
+            throw new Error('tokenIn and tokenOut must differ');
+        }
+
+        const [inToken, outToken] = await Promise.all([this.getToken(tokenIn), this.getToken(tokenOut)]);
+        const amountInRaw = ethers.utils.parseUnits(amountIn.toString(), inToken.decimals);
+
+        const routes = await this.findRoutes(inToken.address, outToken.address, maxHops);
+        if (routes.length === 0) {
+            throw new Error(`No Uniswap V3 route found from ${inToken.symbol} to ${outToken.symbol}`);
+        }
+
+        const quoter = new ethers.Contract(this.requireDeployment('quoterAddress'), QUOTER_ABI, this.provider);
+        const quotes = await Promise.all(routes.map(async route => {
+            try {
+                const result = await quoter.callStatic.quoteExactInput(
+                    this.encodePath(route.tokens, route.fees),
+                    amountInRaw
+                );
+                return { ...route, amountOut: result.amountOut, gasEstimate: result.gasEstimate };
+            } catch (error) {
+                // Routes through pools without enough liquidity revert in the quoter
+                return null;
+            }
+        }));
+
+        const ranked = quotes
+            .filter(quote => quote !== null && !quote.amountOut.isZero())
+            .sort((a, b) => (b.amountOut.gt(a.amountOut) ? 1 : b.amountOut.lt(a.amountOut) ? -1 : 0));
+
+        if (ranked.length === 0) {
+            throw new Error('All candidate routes failed to quote');
+        }
+
+        const best = ranked[0];
+        const amountOut = ethers.utils.formatUnits(best.amountOut, outToken.decimals);
+        const [priceImpact, gasCost] = await Promise.all([
+            this.calculateRoutePriceImpact(best, amountInRaw),
+            this.estimateGasCost(best.gasEstimate)
+        ]);
+
+        // Versus oracle prices rather than pool mid prices; surfaces pools trading off-market
+        if (this.priceOracle) {
+            try {
+                const [priceIn, priceOut] = await Promise.all([
+                    this.getUsdPrice(inToken.symbol),
+                    this.getUsdPrice(outToken.symbol)
+                ]);
+                priceImpact.marketPercent = this.priceOracle.calculatePriceImpact(
+                    parseFloat(amountIn),
+                    parseFloat(amountOut),
+                    priceIn,
+                    priceOut
+                );
+            } catch (error) {
+                console.log('Error computing market price impact:', error.message);
+            }
+        }
+
+        const symbols = await Promise.all(best.tokens.map(token => this.getToken(token)));
+
+        return {
+            tokenIn: { address: inToken.address, symbol: inToken.symbol, decimals: inToken.decimals },
+            tokenOut: { address: outToken.address, symbol: outToken.symbol, decimals: outToken.decimals },
+            amountIn: amountIn.toString(),
+            amountOut,
+            executionPrice: parseFloat(amountOut) / parseFloat(amountIn),
+            route: {
+                path: symbols.map(token => token.symbol),
+                tokens: best.tokens,
+                fees: best.fees,
+                pools: best.pools
+            },
+            priceImpact,
+            gasEstimate: best.gasEstimate.toString(),
+            gasCost,
+            routesEvaluated: routes.length,
+            alternatives: ranked.slice(1, 4).map(quote => ({
+                tokens: quote.tokens,
+                fees: quote.fees,
+                amountOut: ethers.utils.formatUnits(quote.amountOut, outToken.decimals)
+            }))
+        };
+    }
+
+    /**
+     * Enumerate candidate routes (token path + fee per hop) through existing pools
+     */
+    async findRoutes(tokenIn, tokenOut, maxHops = 3) {
+        const intermediates = this.baseTokens.filter(token =>
+            token.toLowerCase() !== tokenIn.toLowerCase() && token.toLowerCase() !== tokenOut.toLowerCase()
+        );
+
+        const tokenPaths = [[tokenIn, tokenOut]];
+        if (maxHops >= 2) {
+            intermediates.forEach(middle => tokenPaths.push([tokenIn, middle, tokenOut]));
+        }
+        if (maxHops >= 3) {
+            intermediates.forEach(first => intermediates.forEach(second => {
+                if (first !== second) {
+                    tokenPaths.push([tokenIn, first, second, tokenOut]);
+                }
+            }));
+        }
+
+        const hopPairs = tokenPaths.flatMap(tokens => tokens.slice(1).map((token, index) => [tokens[index], token]));
+        const poolsByPair = await this.getExistingPools(hopPairs);
+
+        const routes = [];
+        for (const tokens of tokenPaths) {
+            const hops = tokens.slice(1).map((token, index) => poolsByPair.get(pairKey(tokens[index], token)));
+            if (hops.some(pools => pools.length === 0)) {
+                continue;
+            }
+
+            // Every fee tier for direct swaps; the two deepest pools per hop otherwise
+            const choices = tokens.length === 2 ? hops : hops.map(pools => pools.slice(0, 2));
+            const combinations = choices.reduce(
+                (acc, pools) => acc.flatMap(combo => pools.map(pool => [...combo, pool])),
+                [[]]
+            );
+
+            combinations.forEach(pools => routes.push({
+                tokens,
+                fees: pools.map(pool => pool.fee),
+                pools: pools.map(pool => pool.address),
+                sqrtPrices: pools.map(pool => pool.sqrtPriceX96)
+            }));
+        }
+
+        // Fewer hops first, so the cap drops the longest routes
+        return routes.sort((a, b) => a.tokens.length - b.tokens.length).slice(0, MAX_ROUTES);
+    }
+
+    /**
+     * Pools deployed for each pair with non-zero liquidity, deepest first, keyed by pairKey.
+     * Every fee tier of every pair is read in one Multicall3 batch; undeployed pools
+     * have no code, so their calls fail and are skipped.
+     */
+    async getExistingPools(pairs) {
+        const candidates = [];
+        const seen = new Set();
+        for (const [tokenA, tokenB] of pairs) {
+            const key = pairKey(tokenA, tokenB);
+            if (seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+            for (const fee of FEE_TIERS) {
+                const address = await this.computePoolAddress(tokenA, tokenB, fee);
+                candidates.push({ key, fee, address, contract: new ethers.Contract(address, POOL_ABI, this.provider) });
+            }
+        }
+
+        const results = await this.contractUtils.batchCall(
+            candidates.flatMap(({ contract }) => [
+                { contract, method: 'liquidity' },
+                { contract, method: 'slot0' }
+            ]),
+            { allowFailure: true }
+        );
+
+        const poolsByPair = new Map([...seen].map(key => [key, []]));
+        candidates.forEach(({ key, fee, address }, index) => {
+            const [liquidity, slot0] = results.slice(index * 2, index * 2 + 2);
+            if (liquidity && slot0 && !liquidity.isZero()) {
+                poolsByPair.get(key).push({ fee, address, liquidity, sqrtPriceX96: slot0.sqrtPriceX96 });
+            }
+        });
+
+        for (const pools of poolsByPair.values()) {
+            pools.sort((a, b) => (b.liquidity.gt(a.liquidity) ? 1 : b.liquidity.lt(a.liquidity) ? -1 : 0));
+        }
+        return poolsByPair;
+    }
+
+    /**
+     * Price impact of a quoted route against the pools' mid prices, net of LP fees
+     */
+    calculateRoutePriceImpact(route, amountInRaw) {
+        let midRate = 1;
+        let feeFactor = 1;
+
+        route.tokens.slice(1).forEach((token, index) => {
+            const tokenIn = route.tokens[index];
+            const sqrt = parseFloat(route.sqrtPrices[index].toString()) / 2 ** 96;
+            const rawPrice = sqrt * sqrt; // token0 in token1, raw units
+            const zeroForOne = tokenIn.toLowerCase() < token.toLowerCase();
+            midRate *= zeroForOne ? rawPrice : 1 / rawPrice;
+            feeFactor *= 1 - route.fees[index] / 1000000;
+        });
+
+        const expectedOut = parseFloat(amountInRaw.toString()) * midRate * feeFactor;
+        const actualOut = parseFloat(route.amountOut.toString());
+
+        return {
+            percent: expectedOut > 0 ? (1 - actualOut / expectedOut) * 100 : 0,
+            lpFeePercent: (1 - feeFactor) * 100
+        };
+    }
+
+    /**
+     * Cost of a gas estimate at the current gas price, in ETH and USD when priced
+     */
+    async estimateGasCost(gasEstimate) {
+        const gasPrice = await this.provider.getGasPrice();
+        const cost = this.contractUtils.calculateTransactionCost(gasEstimate, gasPrice);
+
+        let usd = null;
+        if (this.priceOracle) {
+            try {
+                usd = parseFloat(cost.eth) * await this.getUsdPrice('ETH');
+            } catch (error) {
+                console.log('Error pricing gas cost:', error.message);
+            }
+        }
+
+        return { ...cost, usd };
+    }
+
+    /**
+     * Encode a V3 swap path: token, fee, token, fee, ..., token
+     */
+    encodePath(tokens, fees) {
+        const types = [];
+        const values = [];
+        tokens.forEach((token, index) => {
+            types.push('address');
+            values.push(token);
+            if (index < fees.length) {
+                types.push('uint24');
+                values.push(fees[index]);
+            }
+        });
+        return ethers.utils.solidityPack(types, values);
+    }
+
     /**
      * Compute pool address from token addresses and fee
      */
@@ -154,32 +1044,207 @@ class UniswapAnalytics {
         );
         
         return ethers.utils.getCreate2Address(
-            this.factoryAddress,
+            this.requireDeployment('factoryAddress'),
             salt,
             POOL_INIT_CODE_HASH
         );
     }
 
+    /**
+     * Compute V2 pair address from token addresses
+     */
+    computePairAddress(tokenA, tokenB) {
+        const V2_INIT_CODE_HASH = '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f';
+
+        const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase()
+            ? [tokenA, tokenB]
+            : [tokenB, tokenA];
+
+        const salt = ethers.utils.keccak256(
+            ethers.utils.solidityPack(['address', 'address'], [token0, token1])
+        );
+
+        return ethers.utils.getCreate2Address(this.requireDeployment('v2FactoryAddress'), salt, V2_INIT_CODE_HASH);
+    }
+
+    /**
+     * Get V2 pair reserves, price and LP supply, optionally at a past block
+     */
+    async getPairInfo(tokenA, tokenB, blockTag = 'latest') {
+        try {
+            const pairAddress = this.computePairAddress(tokenA, tokenB);
+            const pairContract = new ethers.Contract(pairAddress, PAIR_ABI, this.provider);
+
+            const [reserves, token0Address, token1Address, totalSupply] = await Promise.all([
+                pairContract.getReserves({ blockTag }),
+                pairContract.token0(),
+                pairContract.token1(),
+                pairContract.totalSupply({ blockTag })
+            ]);
+            const [token0, token1] = await Promise.all([
+                this.getToken(token0Address),
+                this.getToken(token1Address)
+            ]);
+
+            const reserve0 = parseFloat(ethers.utils.formatUnits(reserves.reserve0, token0.decimals));
+            const reserve1 = parseFloat(ethers.utils.formatUnits(reserves.reserve1, token1.decimals));
+
+            return {
+                address: pairAddress,
+                token0: { address: token0.address, symbol: token0.symbol, decimals: token0.decimals },
+                token1: { address: token1.address, symbol: token1.symbol, decimals: token1.decimals },
+                reserve0,
+                reserve1,
+                rawReserve0: reserves.reserve0.toString(),
+                rawReserve1: reserves.reserve1.toString(),
+                // Price of token0 in token1
+                price: reserve0 > 0 ? reserve1 / reserve0 : 0,
+                totalSupply: ethers.utils.formatUnits(totalSupply, 18),
+                blockTimestampLast: reserves.blockTimestampLast
+            };
+        } catch (error) {
+            console.error('Error fetching pair info:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Value an LP share of a V2 pair as underlying token amounts
+     */
+    calculateLPShare(pairInfo, lpAmount) {
+        const totalSupply = parseFloat(pairInfo.totalSupply);
+        const share = totalSupply > 0 ? parseFloat(lpAmount) / totalSupply : 0;
+
+        return {
+            lpAmount: lpAmount.toString(),
+            share,
+            amount0: pairInfo.reserve0 * share,
+            amount1: pairInfo.reserve1 * share,
+            // Value in token1 units
+            value: 2 * pairInfo.reserve1 * share
+        };
+    }
+
+    /**
+     * Impermanent loss of holding one LP token since `fromBlock` versus holding
+     * the tokens it was redeemable for at that block. `actual` includes fees
+     * accrued to the pair; `theoretical` is the pure price-ratio IL.
+     */
+    async calculateV2ImpermanentLoss(tokenA, tokenB, fromBlock) {
+        const [then, now] = await Promise.all([
+            this.getPairInfo(tokenA, tokenB, fromBlock),
+            this.getPairInfo(tokenA, tokenB)
+        ]);
+
+        const entry = this.calculateLPShare(then, 1);
+        const current = this.calculateLPShare(now, 1);
+
+        const hodlValue = entry.amount0 * now.price + entry.amount1;
+        const lpValue = current.value;
+        const priceRatio = now.price / then.price;
+        const theoretical = (2 * Math.sqrt(priceRatio)) / (1 + priceRatio) - 1;
+
+        return {
+            pair: now.address,
+            fromBlock,
+            entryPrice: then.price,
+            currentPrice: now.price,
+            priceRatio,
+            hodlValue,
+            lpValue,
+            // Values are per LP token in token1 units
+            quoteToken: now.token1.symbol,
+            impermanentLoss: {
+                theoretical: theoretical * 100,
+                actual: (lpValue / hodlValue - 1) * 100
+            },
+            feesEarned: (lpValue / hodlValue - 1 - theoretical) * 100
+        };
+    }
+
+    /**
+     * Get a wallet's LP balances in known V2 pairs
+     */
+    async getV2Positions(owner) {
+        const balances = await Promise.all(this.v2Pairs.map(([tokenA, tokenB]) =>
+            new ethers.Contract(this.computePairAddress(tokenA, tokenB), PAIR_ABI, this.provider)
+                .balanceOf(owner)
+        ));
+
+        const held = this.v2Pairs
+            .map((pair, index) => ({ pair, balance: balances[index] }))
+            .filter(({ balance }) => !balance.isZero());
+
+        return Promise.all(held.map(async ({ pair, balance }) => {
+            const pairInfo = await this.getPairInfo(pair[0], pair[1]);
+            const lpShare = this.calculateLPShare(pairInfo, ethers.utils.formatUnits(balance, 18));
+
+            return {
+                pair: pairInfo.address,
+                token0: pairInfo.token0,
+                token1: pairInfo.token1,
+                ...lpShare
+            };
+        }));
+    }
+
+    /**
+     * Resolve a unix timestamp (seconds) to a block number
+     */
     async getBlockFromTimestamp(timestamp) {
-        // Binary search to find block number from timestamp
-        // Implementation would go here
-        return 'latest';
+        return this.contractUtils.getBlockFromTimestamp(timestamp);
     }
 
     async get24hVolume(poolAddress) {
-        // Query volume from last 24 hours
-        // Implementation would query events or indexing service
-        return 100000; // Mock value
+        const volume = await this.getVolume(poolAddress, 86400);
+        return volume.volumeUSD;
     }
 }
 
+/**
+ * Order-independent key for a token pair
+ */
+function pairKey(tokenA, tokenB) {
+    return [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join('-');
+}
+
 // Minimal Pool ABI for essential functions
 const POOL_ABI = [
     'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
     'function liquidity() external view returns (uint128)',
     'function token0() external view returns (address)',
     'function token1() external view returns (address)',
+    'function fee() external view returns (uint24)',
+    'function tickSpacing() external view returns (int24)',
+    'function tickBitmap(int16 wordPosition) external view returns (uint256)',
+    'function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
     'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
 ];
 
+const ERC20_BALANCE_ABI = [
+    'function balanceOf(address owner) view returns (uint256)'
+];
+
+// QuoterV2 exact-input quoting (non-view; called with callStatic)
+const QUOTER_ABI = [
+    'function quoteExactInput(bytes path, uint256 amountIn) external returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)'
+];
+
+// Minimal V2 Pair ABI
+const PAIR_ABI = [
+    'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+    'function token0() external view returns (address)',
+    'function token1() external view returns (address)',
+    'function totalSupply() external view returns (uint256)',
+    'function balanceOf(address owner) external view returns (uint256)'
+];
+
+// Minimal NonfungiblePositionManager ABI for reading LP positions
+const POSITION_MANAGER_ABI = [
+    'function balanceOf(address owner) external view returns (uint256)',
+    'function tokenOfOwnerByIndex(address owner, uint256 index) external view returns (uint256)',
+    'function positions(uint256 tokenId) external view returns (uint96 nonce, address operator, address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)',
+    'function collect(tuple(uint256 tokenId, address recipient, uint128 amount0Max, uint128 amount1Max) params) external payable returns (uint256 amount0, uint256 amount1)'
+];
+
 module.exports = UniswapAnalytics;
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Block Index
+ * Resolves timestamps to block numbers with interpolation + binary search,
+ * caching every (block, timestamp) pair it sees as an anchor for later lookups
+ */
+
+const MAX_ANCHORS = 10000;
+const LATEST_TTL = 12000; // ~1 block
+
+const indexes = new WeakMap();
+
+class BlockIndex {
+    constructor(provider) {
+        this.provider = provider;
+        this.anchors = []; // sorted by block number
+        this.latest = null;
+        this.latestFetchedAt = 0;
+    }
+
+    /**
+     * Shared index per provider so every module reuses the same anchors
+     */
+    static forProvider(provider) {
+        if (!indexes.has(provider)) {
+            indexes.set(provider, new BlockIndex(provider));
+        }
+        return indexes.get(provider);
+    }
+
+    /**
+     * Get the last block mined at or before a unix timestamp (seconds)
+     */
+    async getBlockFromTimestamp(timestamp) {
+        const target = Math.floor(Number(timestamp));
+        if (!Number.isFinite(target)) {
+            throw new Error(`Invalid timestamp: ${timestamp}`);
+        }
+
+        const latest = await this.getLatestAnchor();
+        if (target >= latest.timestamp) {
+            return latest.number;
+        }
+
+        const genesis = await this.getAnchor(0);
+        if (target < genesis.timestamp) {
+            return 0;
+        }
+
+        let { low, high } = this.findBracket(target);
+
+        // Invariant: low.timestamp <= target < high.timestamp
+        while (high.number - low.number > 1) {
+            const span = high.number - low.number;
+            const estimate = low.number + Math.floor(
+                ((target - low.timestamp) * span) / (high.timestamp - low.timestamp)
+            );
+            const guess = Math.min(Math.max(estimate, low.number + 1), high.number - 1);
+            const block = await this.getAnchor(guess);
+
+            if (block.timestamp <= target) {
+                low = block;
+            } else {
+                high = block;
+            }
+
+            // Block times are irregular; fall back to bisection when interpolation stalls
+            if (high.number - low.number > span / 2) {
+                const mid = await this.getAnchor(Math.floor((low.number + high.number) / 2));
+                if (mid.timestamp <= target) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+        }
+
+        return low.number;
+    }
+
+    /**
+     * Get a block's timestamp, served from the anchor cache when known
+     */
+    async getBlockTimestamp(blockNumber) {
+        const anchor = await this.getAnchor(blockNumber);
+        return anchor.timestamp;
+    }
+
+    /**
+     * Fetch (or reuse) the anchor for a block number
+     */
+    async getAnchor(blockNumber) {
+        const index = this.search(blockNumber);
+        if (index < this.anchors.length && this.anchors[index].number === blockNumber) {
+            return this.anchors[index];
+        }
+
+        const block = await this.provider.getBlock(blockNumber);
+        if (!block) {
+            throw new Error(`Block ${blockNumber} not found`);
+        }
+
+        return this.addAnchor({ number: block.number, timestamp: block.timestamp });
+    }
+
+    /**
+     * Latest block, refreshed at most once per block time
+     */
+    async getLatestAnchor() {
+        if (!this.latest || Date.now() - this.latestFetchedAt > LATEST_TTL) {
+            const block = await this.provider.getBlock('latest');
+            this.latest = this.addAnchor({ number: block.number, timestamp: block.timestamp });
+            this.latestFetchedAt = Date.now();
+        }
+        return this.latest;
+    }
+
+    /**
+     * Tightest cached anchors around a timestamp
+     */
+    findBracket(target) {
+        // Timestamps are monotonic in block number, so anchors are sorted by both
+        let low = 0;
+        let high = this.anchors.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.anchors[mid].timestamp <= target) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        return { low: this.anchors[low - 1], high: this.anchors[low] };
+    }
+
+    addAnchor(anchor) {
+        const index = this.search(anchor.number);
+        if (index < this.anchors.length && this.anchors[index].number === anchor.number) {
+            return this.anchors[index];
+        }
+
+        this.anchors.splice(index, 0, anchor);
+
+        // Evict an interior anchor at random; the oldest and newest anchors are always kept
+        if (this.anchors.length > MAX_ANCHORS) {
+            const evict = 1 + Math.floor(Math.random() * (this.anchors.length - 2));
+            this.anchors.splice(evict, 1);
+        }
+
+        return anchor;
+    }
+
+    /**
+     * Binary search for the insertion index of a block number
+     */
+    search(blockNumber) {
+        let low = 0;
+        let high = this.anchors.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.anchors[mid].number < blockNumber) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Cache statistics
+     */
+    getStats() {
+        return {
+            anchors: this.anchors.length,
+            latestBlock: this.latest ? this.latest.number : null
+        };
+    }
+}
+
+module.exports = BlockIndex;
@@ -0,0 +1,361 @@
+/**
+ * Cache
+ * Shared TTL cache with in-memory and Redis backends. Entries are grouped by type
+ * (prices, pool state, token metadata), each with its own TTL, and concurrent misses
+ * for one key share a single fetch.
+ */
+
+const { ethers } = require('ethers');
+const { createClient } = require('redis');
+
+const KEY_PREFIX = 'defi:';
+
+// Seconds; each can be overridden with CACHE_TTL_<TYPE>_SECONDS
+const DEFAULT_TTLS = {
+    price: 60,
+    // About one block, so routes hit by many clients read a pool once per block
+    pool: 15,
+    // Token metadata never changes
+    token: 86400,
+    // Historical price series; the newest point moves, the rest does not
+    history: 3600
+};
+const DEFAULT_TTL = 300;
+
+// The memory backend drops expired entries once it grows past this many
+const MEMORY_SWEEP_SIZE = 10000;
+
+const MAX_RECONNECT_DELAY = 5000;
+
+let defaultCache = null;
+
+class Cache {
+    /**
+     * @param {Object} [options] - { store, ttls, defaultTtl, enabled }
+     */
+    constructor(options = {}) {
+        this.store = options.store || new MemoryStore();
+        this.ttls = { ...DEFAULT_TTLS, ...options.ttls };
+        this.defaultTtl = options.defaultTtl || DEFAULT_TTL;
+        this.enabled = options.enabled !== false;
+        this.pending = new Map();
+        this.stats = {};
+    }
+
+    /**
+     * Process-wide cache configured from ENABLE_CACHE, REDIS_URL and the CACHE_TTL_* variables
+     */
+    static getDefault() {
+        if (!defaultCache) {
+            defaultCache = Cache.fromEnv();
+        }
+        return defaultCache;
+    }
+
+    /**
+     * CACHE_TTL_<TYPE>_SECONDS sets one type's TTL; CACHE_TTL_SECONDS, when set, replaces the
+     * built-in TTL of every type without its own variable
+     */
+    static fromEnv(env = process.env) {
+        const baseTtl = parseInt(env.CACHE_TTL_SECONDS, 10) > 0 ? parseInt(env.CACHE_TTL_SECONDS, 10) : null;
+        const ttls = {};
+        for (const type of Object.keys(DEFAULT_TTLS)) {
+            const value = parseInt(env[`CACHE_TTL_${type.toUpperCase()}_SECONDS`], 10);
+            if (value > 0) {
+                ttls[type] = value;
+            } else if (baseTtl) {
+                ttls[type] = baseTtl;
+            }
+        }
+
+        return new Cache({
+            store: env.REDIS_URL ? new RedisStore(env.REDIS_URL) : new MemoryStore(),
+            ttls,
+            defaultTtl: baseTtl || DEFAULT_TTL,
+            enabled: env.ENABLE_CACHE !== 'false'
+        });
+    }
+
+    /**
+     * Return the cached value for `key`, or fetch, cache and return it.
+     * Concurrent callers missing the same key wait on one fetch.
+     */
+    async wrap(type, key, fetcher, ttl) {
+        const fullKey = this.getKey(type, key);
+
+        if (this.pending.has(fullKey)) {
+            this.getTypeStats(type).coalesced++;
+            return this.pending.get(fullKey);
+        }
+
+        const cached = await this.get(type, key);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        // Another caller may have started the fetch while the store was being read
+        if (this.pending.has(fullKey)) {
+            this.getTypeStats(type).coalesced++;
+            return this.pending.get(fullKey);
+        }
+
+        const fetching = (async () => {
+            const value = await fetcher();
+            await this.set(type, key, value, ttl);
+            return value;
+        })().finally(() => this.pending.delete(fullKey));
+
+        this.pending.set(fullKey, fetching);
+        return fetching;
+    }
+
+    /**
+     * Cached value, or undefined on a miss. Backend errors count as misses
+     * so an unreachable Redis slows nothing down; the store logs the outage.
+     */
+    async get(type, key) {
+        const stats = this.getTypeStats(type);
+        if (!this.enabled) {
+            stats.misses++;
+            return undefined;
+        }
+
+        try {
+            const raw = await this.store.get(this.getKey(type, key));
+            if (raw === null || raw === undefined) {
+                stats.misses++;
+                return undefined;
+            }
+            stats.hits++;
+            return deserialize(raw);
+        } catch (error) {
+            stats.errors++;
+            stats.misses++;
+            return undefined;
+        }
+    }
+
+    async set(type, key, value, ttl) {
+        if (!this.enabled || value === undefined) {
+            return;
+        }
+
+        try {
+            await this.store.set(this.getKey(type, key), serialize(value), ttl || this.getTtl(type));
+        } catch (error) {
+            this.getTypeStats(type).errors++;
+        }
+    }
+
+    async delete(type, key) {
+        await this.store.delete(this.getKey(type, key));
+    }
+
+    /**
+     * Remove every entry, or only those of one type. Returns the number removed.
+     */
+    async clear(type) {
+        return this.store.clear(type ? `${KEY_PREFIX}${type}:` : KEY_PREFIX);
+    }
+
+    /**
+     * Hit/miss counters and entry counts per type
+     */
+    async getStats() {
+        const entries = await this.store.count(KEY_PREFIX);
+        const types = {};
+
+        for (const type of new Set([...Object.keys(this.ttls), ...Object.keys(this.stats)])) {
+            const stats = this.getTypeStats(type);
+            const lookups = stats.hits + stats.misses;
+            types[type] = {
+                ...stats,
+                hitRate: lookups > 0 ? stats.hits / lookups : null,
+                ttlSeconds: this.getTtl(type),
+                entries: await this.store.count(`${KEY_PREFIX}${type}:`)
+            };
+        }
+
+        return {
+            backend: this.store.name,
+            enabled: this.enabled,
+            entries,
+            inFlight: this.pending.size,
+            types
+        };
+    }
+
+    getTtl(type) {
+        return this.ttls[type] || this.defaultTtl;
+    }
+
+    getKey(type, key) {
+        return `${KEY_PREFIX}${type}:${key}`;
+    }
+
+    getTypeStats(type) {
+        if (!this.stats[type]) {
+            this.stats[type] = { hits: 0, misses: 0, coalesced: 0, errors: 0 };
+        }
+        return this.stats[type];
+    }
+}
+
+/**
+ * In-process backend; entries are lost on restart and not shared between processes
+ */
+class MemoryStore {
+    constructor() {
+        this.name = 'memory';
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, ttlSeconds) {
+        if (this.entries.size >= MEMORY_SWEEP_SIZE) {
+            this.sweep();
+        }
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear(prefix) {
+        let removed = 0;
+        for (const key of this.entries.keys()) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    async count(prefix) {
+        this.sweep();
+        let count = 0;
+        for (const key of this.entries.keys()) {
+            if (key.startsWith(prefix)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Redis backend shared by every process pointed at the same server; connects on first use
+ */
+class RedisStore {
+    constructor(url) {
+        this.name = 'redis';
+        this.url = url;
+        this.client = null;
+    }
+
+    /**
+     * Connects in the background. While Redis is unreachable commands fail fast
+     * instead of queueing, so the cache degrades to always missing.
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = createClient({
+                url: this.url,
+                disableOfflineQueue: true,
+                socket: { reconnectStrategy: retries => Math.min(retries * 200, MAX_RECONNECT_DELAY) }
+            });
+
+            // Log once per outage rather than on every reconnect attempt
+            let connected = true;
+            this.client.on('error', error => {
+                if (connected) {
+                    console.error('Redis error:', error.message);
+                    connected = false;
+                }
+            });
+            this.client.on('ready', () => {
+                connected = true;
+            });
+            this.client.connect().catch(() => {});
+        }
+        return this.client;
+    }
+
+    async get(key) {
+        const client = this.getClient();
+        return client.get(key);
+    }
+
+    async set(key, value, ttlSeconds) {
+        const client = this.getClient();
+        await client.set(key, value, { EX: ttlSeconds });
+    }
+
+    async delete(key) {
+        const client = this.getClient();
+        await client.del(key);
+    }
+
+    async clear(prefix) {
+        const keys = await this.scan(prefix);
+        if (keys.length === 0) {
+            return 0;
+        }
+        const client = this.getClient();
+        return client.del(keys);
+    }
+
+    async count(prefix) {
+        const keys = await this.scan(prefix);
+        return keys.length;
+    }
+
+    async scan(prefix) {
+        const client = this.getClient();
+        const keys = [];
+        for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 1000 })) {
+            keys.push(key);
+        }
+        return keys;
+    }
+}
+
+/**
+ * JSON with ethers BigNumbers round-tripped, so both backends hand back the same shapes
+ */
+function serialize(value) {
+    return JSON.stringify(value);
+}
+
+function deserialize(raw) {
+    return JSON.parse(raw, (key, value) => {
+        if (value && value.type === 'BigNumber' && typeof value.hex === 'string') {
+            return ethers.BigNumber.from(value.hex);
+        }
+        return value;
+    });
+}
+
+module.exports = Cache;
@@ -0,0 +1,235 @@
+/**
+ * Chain Registry
+ * Per-chain RPC configuration, native token and protocol deployment addresses
+ */
+
+const FailoverProvider = require('./rpcProvider');
+
+const UNISWAP_V3 = {
+    factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+    // QuoterV2: unlike V1 it also reports a gas estimate per quote
+    quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+    positionManager: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88'
+};
+
+const BALANCER_VAULT = '0xBA12222222228d8Ba445958a75a0704d566BF2C8';
+
+const CHAINS = {
+    ethereum: {
+        key: 'ethereum',
+        chainId: 1,
+        name: 'Ethereum',
+        rpcUrlEnv: 'ETHEREUM_RPC_URL',
+        defaultRpcUrl: 'https://mainnet.infura.io/v3/YOUR_PROJECT_ID',
+        nativeToken: { symbol: 'ETH', name: 'Ether', decimals: 18, wrappedSymbol: 'WETH', coingeckoId: 'ethereum' },
+        coingeckoPlatform: 'ethereum',
+        deployments: {
+            uniswapV3: UNISWAP_V3,
+            uniswapV2: {
+                factory: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f'
+            },
+            aaveV3: {
+                pool: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2',
+                dataProvider: '0x7B4EB56E7CD4b454BA8ff71E4518426369a138a3',
+                oracle: '0x54586bE62E3c3580375aE3723C145253060Ca0C2'
+            },
+            compoundV2: {
+                comptroller: '0x3d9819210A31b4961b30EF54bE2aeD79B9c9Cd3B',
+                cEther: '0x4Ddc2D193948926D02f9B1fE9e1daa0718270ED5'
+            },
+            compoundV3: {
+                ethUsdFeed: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
+                // Comet prices are quoted in USD for USD markets and in ETH for the WETH market
+                comets: [
+                    { address: '0xc3d688B66703497DAA19211EEdff47f25384cdc3', name: 'cUSDCv3', quote: 'USD' },
+                    { address: '0x3Afdc9BCA9213A35503b077a6072F3D0d5AB0840', name: 'cUSDTv3', quote: 'USD' },
+                    { address: '0xA17581A9E3356d9A858b789D68B4d866e593aE94', name: 'cWETHv3', quote: 'ETH' }
+                ]
+            },
+            curve: {
+                // Pools checked when valuing a wallet's Curve LP holdings
+                pools: [
+                    { name: '3pool', address: '0xbEbc44782C7dB0a1A60Cb6fe97d0b483032FF1C7', lpToken: '0x6c3F90f043a72FA612cbac8115EE7e52BDe6E490' },
+                    { name: 'steth', address: '0xDC24316b9AE028F1497c275EB9192a3Ea0f67022', lpToken: '0x06325440D014e39736583c165C2963BA99fAf14E' },
+                    { name: 'fraxusdc', address: '0xDcEF968d416a41Cdac0ED8702fAC8128A64241A2', lpToken: '0x3175Df0976dFA876431C2E9eE6Bc45b65d3473CC' },
+                    { name: 'tricrypto2', address: '0xD51a44d3FaE010294C616388b506AcdA1bfAAE46', lpToken: '0xc4AD29ba4B3c580e6D59105FFf484999997675Ff' }
+                ]
+            },
+            balancerV2: {
+                vault: BALANCER_VAULT,
+                // Pools checked when valuing a wallet's BPT holdings
+                pools: [
+                    { name: 'B-80BAL-20WETH', address: '0x5c6Ee304399DBdB9C8Ef030aB642B10820DB8F56' },
+                    { name: 'wstETH-WETH-BPT', address: '0x93d199263632a4EF4Bb438F1feB99e57b4b5f0BD' },
+                    { name: '50USDC-50WETH', address: '0x96646936b91d6B9D7D0c47C496AfBF3D6ec7B6f8' }
+                ]
+            }
+        }
+    },
+    polygon: {
+        key: 'polygon',
+        chainId: 137,
+        name: 'Polygon',
+        rpcUrlEnv: 'POLYGON_RPC_URL',
+        nativeToken: { symbol: 'MATIC', name: 'Matic', decimals: 18, wrappedSymbol: 'WMATIC', coingeckoId: 'matic-network' },
+        coingeckoPlatform: 'polygon-pos',
+        deployments: {
+            uniswapV3: UNISWAP_V3,
+            aaveV3: {
+                pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+                dataProvider: '0x69FA688f1Dc47d4B5d8029D5a35FB7a548310654',
+                oracle: '0xb023e699F5a33916Ea823A16485e259257cA8Bd1'
+            },
+            compoundV3: {
+                comets: [
+                    { address: '0xF25212E676D1F7F89Cd72fFEe66158f541246445', name: 'cUSDCv3', quote: 'USD' }
+                ]
+            },
+            balancerV2: {
+                vault: BALANCER_VAULT,
+                pools: []
+            }
+        }
+    },
+    arbitrum: {
+        key: 'arbitrum',
+        chainId: 42161,
+        name: 'Arbitrum One',
+        rpcUrlEnv: 'ARBITRUM_RPC_URL',
+        nativeToken: { symbol: 'ETH', name: 'Ether', decimals: 18, wrappedSymbol: 'WETH', coingeckoId: 'ethereum' },
+        coingeckoPlatform: 'arbitrum-one',
+        deployments: {
+            uniswapV3: UNISWAP_V3,
+            aaveV3: {
+                pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+                dataProvider: '0x69FA688f1Dc47d4B5d8029D5a35FB7a548310654',
+                oracle: '0xb023e699F5a33916Ea823A16485e259257cA8Bd1'
+            },
+            compoundV3: {
+                comets: [
+                    { address: '0x9c4ec768c28520B50860ea7a15bd7213a9fF58bf', name: 'cUSDCv3', quote: 'USD' },
+                    { address: '0xA5EDBDD9646f8dFF606d7448e414884C7d905dCA', name: 'cUSDCev3', quote: 'USD' }
+                ]
+            },
+            balancerV2: {
+                vault: BALANCER_VAULT,
+                pools: []
+            }
+        }
+    },
+    bsc: {
+        key: 'bsc',
+        chainId: 56,
+        name: 'BNB Chain',
+        rpcUrlEnv: 'BSC_RPC_URL',
+        nativeToken: { symbol: 'BNB', name: 'BNB', decimals: 18, wrappedSymbol: 'WBNB', coingeckoId: 'binancecoin' },
+        coingeckoPlatform: 'binance-smart-chain',
+        deployments: {
+            uniswapV3: {
+                factory: '0xdB1d10011AD0Ff90774D0C6Bb92e5C5c8b4461F7',
+                quoter: '0x78D78E420Da98ad378D7799bE8f4AF69033EB077',
+                positionManager: '0x7b8A01B39D58278b5DE7e48c8449c9f4F5170613'
+            }
+        }
+    }
+};
+
+const providers = new Map();
+
+class ChainRegistry {
+    /**
+     * Look up a chain by key ('ethereum'), chain id (1) or numeric string ('1'); null if unknown
+     */
+    static getChain(chainKeyOrId) {
+        if (chainKeyOrId === undefined || chainKeyOrId === null) {
+            return null;
+        }
+        const key = String(chainKeyOrId).toLowerCase();
+        return CHAINS[key] ||
+            Object.values(CHAINS).find(chain => String(chain.chainId) === key) ||
+            null;
+    }
+
+    /**
+     * All known chains
+     */
+    static getChains() {
+        return Object.values(CHAINS);
+    }
+
+    /**
+     * Chains with an RPC URL configured; Ethereum always has one
+     */
+    static getConfiguredChains() {
+        return Object.values(CHAINS).filter(chain => ChainRegistry.getRpcUrls(chain).length > 0);
+    }
+
+    /**
+     * RPC endpoints for a chain; the env var may list several, comma separated, in order of preference
+     */
+    static getRpcUrls(chain) {
+        const configured = (process.env[chain.rpcUrlEnv] || '')
+            .split(',')
+            .map(url => url.trim())
+            .filter(Boolean);
+        if (configured.length > 0) {
+            return configured;
+        }
+        return chain.defaultRpcUrl ? [chain.defaultRpcUrl] : [];
+    }
+
+    /**
+     * Deployment addresses for a protocol on a chain, or null when it is not deployed there
+     */
+    static getDeployment(chainKeyOrId, protocol) {
+        const chain = ChainRegistry.getChain(chainKeyOrId);
+        return (chain && chain.deployments[protocol]) || null;
+    }
+
+    /**
+     * Shared failover provider for a configured chain
+     */
+    static getProvider(chainKeyOrId) {
+        const chain = ChainRegistry.getChain(chainKeyOrId);
+        if (!chain) {
+            throw new Error(`Unknown chain: ${chainKeyOrId}`);
+        }
+
+        if (!providers.has(chain.key)) {
+            const rpcUrls = ChainRegistry.getRpcUrls(chain);
+            if (rpcUrls.length === 0) {
+                throw new Error(`No RPC URL configured for ${chain.name} (set ${chain.rpcUrlEnv})`);
+            }
+            providers.set(chain.key, new FailoverProvider(rpcUrls, chain.chainId, getProviderOptions()));
+        }
+        return providers.get(chain.key);
+    }
+
+    /**
+     * RPC endpoint health for every chain whose provider has been created
+     */
+    static getRpcHealth() {
+        const health = {};
+        for (const [key, provider] of providers) {
+            health[key] = provider.getHealth();
+        }
+        return health;
+    }
+}
+
+/**
+ * Failover tuning from RPC_TIMEOUT_MS, RPC_MAX_ATTEMPTS and RPC_COOLDOWN_MS; unset values keep the defaults
+ */
+function getProviderOptions() {
+    const options = {};
+    const settings = { timeout: 'RPC_TIMEOUT_MS', maxAttempts: 'RPC_MAX_ATTEMPTS', cooldownMs: 'RPC_COOLDOWN_MS' };
+    for (const [option, envVar] of Object.entries(settings)) {
+        const value = parseInt(process.env[envVar], 10);
+        if (value > 0) {
+            options[option] = value;
+        }
+    }
+    return options;
+}
+
+module.exports = ChainRegistry;
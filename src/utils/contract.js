@@ -4,10 +4,16 @@
  */
 
 const { ethers } = require('ethers');
+const BlockIndex = require('./blockIndex');
+
+// Multicall3 is deployed at the same address on every major EVM chain
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL_CHUNK_SIZE = 100;
 
 class ContractUtils {
     constructor(provider) {
         this.provider = provider;
+        this.blockIndex = BlockIndex.forProvider(provider);
     }
 
     /**
@@ -103,15 +109,94 @@ class ContractUtils {
     }
 
     /**
-     * Batch call multiple contract methods
+     * Batch call multiple contract methods through Multicall3's aggregate3.
+     * Calls are `{ contract, method, args, allowFailure }`; results come back in order,
+     * decoded as the contract method would return them.
+     *
+     * Options:
+     * - allowFailure: failed calls resolve to null instead of throwing (per-call flag wins)
+     * - blockTag: read every call at this block
+     * - chunkSize: calls per aggregate3 request
+     */
+    async batchCall(calls, { allowFailure = false, blockTag, chunkSize = MULTICALL_CHUNK_SIZE } = {}) {
+        if (calls.length === 0) {
+            return [];
+        }
+
+        // Chunks are separate requests, so pin them to one block unless the caller chose one
+        let pinnedBlock = blockTag;
+        if (pinnedBlock === undefined && calls.length > chunkSize) {
+            pinnedBlock = await this.provider.getBlockNumber();
+        }
+
+        const multicall = this.getContract(MULTICALL3_ADDRESS, MULTICALL3_ABI);
+        const overrides = pinnedBlock === undefined ? {} : { blockTag: pinnedBlock };
+        const results = [];
+
+        for (let start = 0; start < calls.length; start += chunkSize) {
+            const chunk = calls.slice(start, start + chunkSize);
+            let responses;
+
+            try {
+                // Every call is allowed to fail on-chain so one revert cannot sink the batch
+                responses = await multicall.callStatic.aggregate3(
+                    chunk.map(({ contract, method, args = [] }) => ({
+                        target: contract.address,
+                        allowFailure: true,
+                        callData: contract.interface.encodeFunctionData(method, args)
+                    })),
+                    overrides
+                );
+            } catch (error) {
+                // Multicall3 is not deployed everywhere (or not yet at an old blockTag), so the
+                // call reverts; fall back to individual calls then. Transport errors are not
+                // retried call by call, which would only multiply the load on a struggling node.
+                if (error.code !== ethers.errors.CALL_EXCEPTION) {
+                    throw error;
+                }
+                responses = await Promise.all(chunk.map(({ contract, method, args = [] }) =>
+                    contract[method](...args, overrides)
+                        .then(value => ({ success: true, value }))
+                        .catch(callError => ({ success: false, error: callError }))
+                ));
+            }
+
+            chunk.forEach((call, index) => {
+                results.push(this.decodeBatchResult(call, responses[index], allowFailure));
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Decode one aggregate3 (or fallback) response, unwrapping single return values like ethers does
      */
-    async batchCall(calls) {
-        const promises = calls.map(call => {
-            const { contract, method, args } = call;
-            return contract[method](...args);
-        });
+    decodeBatchResult(call, response, allowFailure) {
+        const { contract, method } = call;
+        const tolerateFailure = call.allowFailure !== undefined ? call.allowFailure : allowFailure;
 
-        return await Promise.all(promises);
+        try {
+            if (!response.success) {
+                throw response.error || Object.assign(new Error(`${method} reverted on ${contract.address}`), {
+                    code: ethers.errors.CALL_EXCEPTION,
+                    method,
+                    address: contract.address
+                });
+            }
+            if (response.value !== undefined) {
+                return response.value;
+            }
+
+            const fragment = contract.interface.getFunction(method);
+            const decoded = contract.interface.decodeFunctionResult(fragment, response.returnData);
+            return fragment.outputs.length === 1 ? decoded[0] : decoded;
+        } catch (error) {
+            if (tolerateFailure) {
+                return null;
+            }
+            throw error;
+        }
     }
 
     /**
@@ -139,6 +224,20 @@ class ContractUtils {
         return null;
     }
 
+    /**
+     * Get the last block mined at or before a unix timestamp (seconds)
+     */
+    async getBlockFromTimestamp(timestamp) {
+        return this.blockIndex.getBlockFromTimestamp(timestamp);
+    }
+
+    /**
+     * Get a block's timestamp (cached)
+     */
+    async getBlockTimestamp(blockNumber) {
+        return this.blockIndex.getBlockTimestamp(blockNumber);
+    }
+
     /**
      * Parse token amount with decimals
      */
@@ -175,12 +274,9 @@ class ContractUtils {
         const contract = this.getContract(tokenAddress, tokenABI);
 
         try {
-            const [name, symbol, decimals, totalSupply] = await Promise.all([
-                contract.name(),
-                contract.symbol(),
-                contract.decimals(),
-                contract.totalSupply()
-            ]);
+            const [name, symbol, decimals, totalSupply] = await this.batchCall(
+                ['name', 'symbol', 'decimals', 'totalSupply'].map(method => ({ contract, method }))
+            );
 
             return {
                 address: tokenAddress,
@@ -208,4 +304,9 @@ class ContractUtils {
     }
 }
 
+// Minimal Multicall3 ABI
+const MULTICALL3_ABI = [
+    'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)'
+];
+
 module.exports = ContractUtils;
\ No newline at end of file
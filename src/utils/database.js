@@ -0,0 +1,42 @@
+/**
+ * Database
+ * MongoDB connection shared by the persisted models
+ */
+
+const mongoose = require('mongoose');
+
+const SERVER_SELECTION_TIMEOUT = 5000;
+
+// Keep Mongoose 6 behaviour: query filters on fields outside the schema are dropped
+mongoose.set('strictQuery', true);
+
+class Database {
+    /**
+     * Connect to MONGODB_URI. Resolves to false, without throwing, when it is unset
+     * or unreachable, so the API still serves everything that does not need history.
+     */
+    static async connect(uri = process.env.MONGODB_URI) {
+        if (!uri) {
+            console.log('MONGODB_URI not set; portfolio history is disabled');
+            return false;
+        }
+
+        try {
+            await mongoose.connect(uri, { serverSelectionTimeoutMS: SERVER_SELECTION_TIMEOUT });
+            return true;
+        } catch (error) {
+            console.error('Error connecting to MongoDB:', error.message);
+            return false;
+        }
+    }
+
+    static isConnected() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    static async disconnect() {
+        await mongoose.disconnect();
+    }
+}
+
+module.exports = Database;
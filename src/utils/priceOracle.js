@@ -4,46 +4,155 @@
  */
 
 const axios = require('axios');
+const { ethers } = require('ethers');
+const TokenRegistry = require('./tokenRegistry');
+const ChainRegistry = require('./chains');
+const Cache = require('./cache');
+
+const DEFAULT_SOURCES = ['coingecko', 'chainlink', 'uniswap'];
+const DEFAULT_TWAP_WINDOW = 1800; // 30 minutes
+const STALENESS_GRACE = 600; // tolerate a late heartbeat by up to 10 minutes
+const DEFAULT_DEVIATION_THRESHOLD = 2; // percent from the median before a source is flagged
 
 class PriceOracle {
-    constructor() {
-        this.cache = new Map();
-        this.cacheTTL = 60000; // 1 minute
+    /**
+     * @param {ethers.providers.Provider} [provider] - required for the chainlink and uniswap sources
+     * @param {Object} [options] - { sources, twapWindow, deviationThreshold, tokenRegistry, cache }
+     */
+    constructor(provider = null, options = {}) {
+        this.provider = provider;
+        this.tokenRegistry = options.tokenRegistry || TokenRegistry.forProvider(provider);
+        this.cache = options.cache || Cache.getDefault();
         this.sources = {
             coingecko: 'https://api.coingecko.com/api/v3',
             chainlink: 'chainlink-feeds',
             uniswap: 'uniswap-pools'
         };
+        // Sources getPrice queries when none is requested
+        this.sourceOrder = options.sources || DEFAULT_SOURCES;
+        this.deviationThreshold = options.deviationThreshold || DEFAULT_DEVIATION_THRESHOLD;
+        this.twapWindow = options.twapWindow || DEFAULT_TWAP_WINDOW;
+
+        // Mainnet Chainlink USD feeds; heartbeat is the max seconds between updates
+        this.chainlinkFeeds = {
+            'ETH': { address: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419', heartbeat: 3600 },
+            'WETH': { address: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419', heartbeat: 3600 },
+            'BTC': { address: '0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c', heartbeat: 3600 },
+            'WBTC': { address: '0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c', heartbeat: 3600 },
+            'USDC': { address: '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6', heartbeat: 86400 },
+            'USDT': { address: '0x3E7d1eAB13ad0104d2750B8863b489D65364e32D', heartbeat: 86400 },
+            'DAI': { address: '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9', heartbeat: 3600 },
+            'LINK': { address: '0x2c1d072e956AFFC0D435Cb7AC38EF18d24d9127c', heartbeat: 3600 },
+            'AAVE': { address: '0x547a514d5e3769680Ce22B2361c10Ea13619e8a9', heartbeat: 3600 },
+            'UNI': { address: '0x553303d460EE0afB37EdFf9bE42922D8FF63220e', heartbeat: 3600 },
+            'MATIC': { address: '0x7bAC85A8a13A4BcD8abb3eB7d6b4d632c5a57676', heartbeat: 3600 }
+        };
+
+        // Deep Uniswap V3 pools used for TWAPs, each quoted in a token we can price in USD.
+        // USDC is the TWAP unit of account and is itself taken as $1.
+        this.twapPools = {
+            'WETH': { address: '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640', quote: 'USDC' },
+            'ETH': { address: '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640', quote: 'USDC' },
+            'WBTC': { address: '0x99ac8cA7087fA4A2A1FB6357269965A2014ABc35', quote: 'USDC' },
+            'DAI': { address: '0x5777d92f208679DB4b9778590Fa3CAB3aC9e2168', quote: 'USDC' },
+            'USDT': { address: '0x3416cF6C708Da44DB2624D63ea0AAef7113527C6', quote: 'USDC' },
+            'UNI': { address: '0x1d42064Fc4Beb5F8aAF85F4617AE8b3b5B8Bd801', quote: 'WETH' },
+            'LINK': { address: '0xa6Cc3C2531FdaA6Ae1A3CA84c2855806728693e8', quote: 'WETH' }
+        };
+        this.feedDecimals = new Map();
+        this.poolTokens = new Map();
     }
 
     /**
-     * Get token price from multiple sources
+     * Get token price from every configured source in parallel.
+     * Returns the median with per-source deviation and a 0-1 confidence score;
+     * pass `{ source }` to query a single source.
      */
-    async getPrice(tokenSymbol) {
-        const cacheKey = `price_${tokenSymbol.toLowerCase()}`;
-        
-        // Check cache
-        if (this.cache.has(cacheKey)) {
-            const cached = this.cache.get(cacheKey);
-            if (Date.now() - cached.timestamp < this.cacheTTL) {
-                return cached.price;
-            }
-        }
+    async getPrice(tokenSymbol, { source } = {}) {
+        const sources = source ? [source] : this.sourceOrder;
+        const cacheKey = `${tokenSymbol.toLowerCase()}:${sources.join('+')}`;
 
-        try {
-            const price = await this.fetchPriceFromCoinGecko(tokenSymbol);
-            
-            // Cache the result
-            this.cache.set(cacheKey, {
-                price,
-                timestamp: Date.now()
-            });
-            
-            return price;
-        } catch (error) {
-            console.error(`Error fetching price for ${tokenSymbol}:`, error);
+        return this.cache.wrap('price', cacheKey, () => this.fetchAggregatedPrice(tokenSymbol, sources));
+    }
+
+    /**
+     * Query sources in parallel and aggregate, bypassing the cache
+     */
+    async fetchAggregatedPrice(tokenSymbol, sources) {
+        const results = await Promise.all(sources.map(name =>
+            this.fetchPriceFromSource(name, tokenSymbol)
+                .then(result => (result.usd > 0 ? result : { source: name, error: `Invalid price ${result.usd}` }))
+                .catch(error => ({ source: name, error: error.message }))
+        ));
+
+        const quotes = results.filter(result => !result.error);
+        if (quotes.length === 0) {
+            const reasons = results.map(result => `${result.source}: ${result.error}`).join('; ');
+            const error = new Error(`No price for ${tokenSymbol} (${reasons})`);
+            console.error(`Error fetching price for ${tokenSymbol}:`, error.message);
             throw error;
         }
+
+        return this.aggregatePrices(quotes, results);
+    }
+
+    /**
+     * Combine source quotes into a median price, flagging sources that
+     * deviate from it by more than `deviationThreshold` percent.
+     * Quotes that are `assumed` (USDC as the TWAP unit of account) are reported but
+     * neither set the median nor count as agreeing sources, unless nothing else priced.
+     */
+    aggregatePrices(quotes, results) {
+        const independent = quotes.filter(quote => !quote.assumed);
+        const usd = median((independent.length > 0 ? independent : quotes).map(quote => quote.usd));
+
+        const sources = results.map(result => {
+            if (result.error) {
+                return result;
+            }
+            const deviation = usd > 0 ? Math.abs(result.usd - usd) / usd * 100 : 0;
+            return { ...result, deviation, flagged: deviation > this.deviationThreshold };
+        });
+
+        const priced = sources.filter(result => !result.error);
+        const agreeing = priced.filter(result => !result.flagged && !result.assumed);
+        const deviation = Math.max(...priced.map(result => result.deviation));
+        const spread = agreeing.length > 0 ? Math.max(...agreeing.map(result => result.deviation)) : 0;
+
+        // Share of independent sources that agree, discounted by how tightly they agree
+        const counted = results.filter(result => !result.assumed).length;
+        const confidence = usd > 0 && counted > 0
+            ? (agreeing.length / counted) * (1 - spread / this.deviationThreshold)
+            : 0;
+
+        // CoinGecko is the only source with market data; keep it when available
+        const market = quotes.find(quote => quote.source === 'coingecko') || {};
+
+        return {
+            usd,
+            change24h: market.change24h,
+            marketCap: market.marketCap,
+            volume24h: market.volume24h,
+            sources,
+            deviation,
+            confidence: Math.max(0, confidence)
+        };
+    }
+
+    /**
+     * Fetch a price from a single named source
+     */
+    async fetchPriceFromSource(source, tokenSymbol) {
+        switch (source) {
+            case 'coingecko':
+                return { source, ...(await this.fetchPriceFromCoinGecko(tokenSymbol)) };
+            case 'chainlink':
+                return this.getPriceFromChainlink(tokenSymbol);
+            case 'uniswap':
+                return this.getPriceFromUniswap(tokenSymbol);
+            default:
+                throw new Error(`Unknown price source: ${source}`);
+        }
     }
 
     /**
@@ -64,6 +173,9 @@ class PriceOracle {
         });
 
         const data = response.data[coinId];
+        if (!data) {
+            throw new Error(`CoinGecko has no price for ${coinId}`);
+        }
         return {
             usd: data.usd,
             change24h: data.usd_24h_change,
@@ -78,15 +190,45 @@ class PriceOracle {
     async getHistoricalPrices(tokenSymbol, days = 7) {
         const coinId = this.getCoinGeckoId(tokenSymbol);
         const url = `${this.sources.coingecko}/coins/${coinId}/market_chart`;
-        
-        const response = await axios.get(url, {
-            params: {
-                vs_currency: 'usd',
-                days: days
-            }
+
+        const prices = await this.cache.wrap('history', `${coinId}:${days}`, async () => {
+            const response = await axios.get(url, {
+                params: {
+                    vs_currency: 'usd',
+                    days: days
+                }
+            });
+            return response.data.prices;
+        });
+
+        return prices.map(([timestamp, price]) => ({
+            timestamp: new Date(timestamp),
+            price
+        }));
+    }
+
+    /**
+     * Historical USD prices of a token by contract address on a chain, from CoinGecko
+     */
+    async getHistoricalPricesByAddress(chainKeyOrId, tokenAddress, days = 7) {
+        const chain = ChainRegistry.getChain(chainKeyOrId);
+        if (!chain || !chain.coingeckoPlatform) {
+            throw new Error(`No CoinGecko platform for chain ${chainKeyOrId}`);
+        }
+        const address = tokenAddress.toLowerCase();
+        const url = `${this.sources.coingecko}/coins/${chain.coingeckoPlatform}/contract/${address}/market_chart`;
+
+        const prices = await this.cache.wrap('history', `${chain.coingeckoPlatform}:${address}:${days}`, async () => {
+            const response = await axios.get(url, {
+                params: {
+                    vs_currency: 'usd',
+                    days: days
+                }
+            });
+            return response.data.prices;
         });
 
-        return response.data.prices.map(([timestamp, price]) => ({
+        return prices.map(([timestamp, price]) => ({
             timestamp: new Date(timestamp),
             price
         }));
@@ -116,6 +258,59 @@ class PriceOracle {
         return prices;
     }
 
+    /**
+     * USD price of a token by contract address, for tokens with no symbol mapping.
+     * Priced by CoinGecko on the chain's platform; throws when it has no price.
+     */
+    async getTokenPriceByAddress(chainKeyOrId, tokenAddress) {
+        const prices = await this.getTokenPricesByAddress(chainKeyOrId, [tokenAddress]);
+        const usd = prices[tokenAddress.toLowerCase()];
+        if (usd === null) {
+            throw new Error(`CoinGecko has no price for ${tokenAddress} on ${ChainRegistry.getChain(chainKeyOrId).key}`);
+        }
+        return usd;
+    }
+
+    /**
+     * USD prices of many contracts on one chain, keyed by lowercased address (null when
+     * CoinGecko has none). Addresses not cached are fetched in a single request.
+     */
+    async getTokenPricesByAddress(chainKeyOrId, tokenAddresses) {
+        const chain = ChainRegistry.getChain(chainKeyOrId);
+        if (!chain || !chain.coingeckoPlatform) {
+            throw new Error(`No CoinGecko platform for chain ${chainKeyOrId}`);
+        }
+        const addresses = [...new Set(tokenAddresses.map(address => address.toLowerCase()))];
+        const cacheKey = address => `${chain.coingeckoPlatform}:${address}`;
+
+        const prices = {};
+        const missing = [];
+        for (const address of addresses) {
+            const cached = await this.cache.get('price', cacheKey(address));
+            if (cached !== undefined) {
+                prices[address] = cached;
+            } else {
+                missing.push(address);
+            }
+        }
+
+        if (missing.length > 0) {
+            const response = await axios.get(`${this.sources.coingecko}/simple/token_price/${chain.coingeckoPlatform}`, {
+                params: {
+                    contract_addresses: missing.join(','),
+                    vs_currencies: 'usd'
+                }
+            });
+            for (const address of missing) {
+                const data = response.data[address];
+                prices[address] = data && data.usd > 0 ? data.usd : null;
+                await this.cache.set('price', cacheKey(address), prices[address]);
+            }
+        }
+
+        return prices;
+    }
+
     /**
      * Calculate price impact for a swap
      */
@@ -126,52 +321,181 @@ class PriceOracle {
     }
 
     /**
-     * Get token price from Uniswap pool
+     * Read a Chainlink USD feed, rejecting stale or incomplete rounds
      */
-    async getPriceFromUniswap(token0, token1, poolAddress) {
-        // This would query Uniswap pool directly
-        // Implementation depends on specific pool version
-        return 0;
+    async getPriceFromChainlink(tokenSymbol) {
+        const feed = this.chainlinkFeeds[tokenSymbol.toUpperCase()];
+        if (!feed) {
+            throw new Error(`No Chainlink feed for ${tokenSymbol}`);
+        }
+
+        const aggregator = new ethers.Contract(feed.address, AGGREGATOR_ABI, this.getProvider());
+        const [round, decimals] = await Promise.all([
+            aggregator.latestRoundData(),
+            this.getFeedDecimals(aggregator)
+        ]);
+
+        const updatedAt = round.updatedAt.toNumber();
+        const age = Math.floor(Date.now() / 1000) - updatedAt;
+
+        if (round.answer.lte(0)) {
+            throw new Error(`Chainlink feed for ${tokenSymbol} returned a non-positive answer`);
+        }
+        if (updatedAt === 0 || round.answeredInRound.lt(round.roundId)) {
+            throw new Error(`Chainlink round for ${tokenSymbol} is incomplete`);
+        }
+        if (age > feed.heartbeat + STALENESS_GRACE) {
+            throw new Error(`Chainlink feed for ${tokenSymbol} is stale (${age}s old)`);
+        }
+
+        return {
+            source: 'chainlink',
+            usd: parseFloat(ethers.utils.formatUnits(round.answer, decimals)),
+            feed: feed.address,
+            roundId: round.roundId.toString(),
+            updatedAt: new Date(updatedAt * 1000)
+        };
     }
 
     /**
-     * Map token symbol to CoinGecko ID
+     * Get a token's USD price from a Uniswap V3 TWAP over `windowSeconds`
      */
-    getCoinGeckoId(symbol) {
-        const mapping = {
-            'ETH': 'ethereum',
-            'BTC': 'bitcoin',
-            'USDC': 'usd-coin',
-            'USDT': 'tether',
-            'DAI': 'dai',
-            'WETH': 'weth',
-            'WBTC': 'wrapped-bitcoin',
-            'UNI': 'uniswap',
-            'AAVE': 'aave',
-            'LINK': 'chainlink',
-            'MATIC': 'matic-network',
-            'ARB': 'arbitrum'
+    async getPriceFromUniswap(tokenSymbol, windowSeconds = this.twapWindow) {
+        const symbol = tokenSymbol.toUpperCase();
+        if (symbol === 'USDC') {
+            return { source: 'uniswap', usd: 1, window: windowSeconds, assumed: true };
+        }
+
+        const config = this.twapPools[symbol];
+        if (!config) {
+            throw new Error(`No Uniswap TWAP pool for ${tokenSymbol}`);
+        }
+
+        const priceInQuote = await this.getTwapPrice(config.address, windowSeconds);
+        const quote = config.quote === 'USDC'
+            ? { usd: 1 }
+            : await this.getPriceFromUniswap(config.quote, windowSeconds);
+
+        return {
+            source: 'uniswap',
+            usd: priceInQuote * quote.usd,
+            pool: config.address,
+            quote: config.quote,
+            window: windowSeconds
         };
+    }
+
+    /**
+     * Time-weighted price of a pool's non-quote token, denominated in its quote token
+     */
+    async getTwapPrice(poolAddress, windowSeconds) {
+        const pool = new ethers.Contract(poolAddress, POOL_ABI, this.getProvider());
+        const [{ tickCumulatives }, tokens] = await Promise.all([
+            pool.observe([windowSeconds, 0]),
+            this.getPoolTokens(pool)
+        ]);
+
+        const delta = tickCumulatives[1].sub(tickCumulatives[0]).toNumber();
+        // Round toward negative infinity, as OracleLibrary.consult does
+        let averageTick = Math.trunc(delta / windowSeconds);
+        if (delta < 0 && delta % windowSeconds !== 0) {
+            averageTick--;
+        }
+
+        // token1 per token0, adjusted for decimals
+        const price = Math.pow(1.0001, averageTick) *
+            Math.pow(10, tokens.token0.decimals - tokens.token1.decimals);
+
+        return tokens.quoteIsToken0 ? 1 / price : price;
+    }
+
+    /**
+     * Pool token decimals and which side is the quote token (cached)
+     */
+    async getPoolTokens(pool) {
+        const key = pool.address.toLowerCase();
+        if (!this.poolTokens.has(key)) {
+            const [token0, token1] = await Promise.all([pool.token0(), pool.token1()]);
+            const [meta0, meta1] = await Promise.all([
+                this.tokenRegistry.getToken(token0),
+                this.tokenRegistry.getToken(token1)
+            ]);
+
+            const quote = Object.values(this.twapPools).find(
+                config => config.address.toLowerCase() === key
+            ).quote;
+
+            this.poolTokens.set(key, {
+                token0: meta0,
+                token1: meta1,
+                quoteIsToken0: meta0.symbol.toUpperCase() === quote
+            });
+        }
+        return this.poolTokens.get(key);
+    }
+
+    /**
+     * Feed decimals never change, so read them once per aggregator
+     */
+    async getFeedDecimals(aggregator) {
+        const key = aggregator.address.toLowerCase();
+        if (!this.feedDecimals.has(key)) {
+            this.feedDecimals.set(key, await aggregator.decimals());
+        }
+        return this.feedDecimals.get(key);
+    }
+
+    /**
+     * Provider for on-chain sources
+     */
+    getProvider() {
+        if (!this.provider) {
+            throw new Error('PriceOracle needs a provider for on-chain price sources');
+        }
+        return this.provider;
+    }
 
-        return mapping[symbol.toUpperCase()] || symbol.toLowerCase();
+    /**
+     * Map token symbol to CoinGecko ID
+     */
+    getCoinGeckoId(symbol) {
+        return this.tokenRegistry.getPriceId(symbol);
     }
 
     /**
-     * Clear cache
+     * Clear cached entries of one type, or all of them; resolves to the number removed
      */
-    clearCache() {
-        this.cache.clear();
+    async clearCache(type) {
+        return this.cache.clear(type);
     }
 
     /**
      * Get cache statistics
      */
-    getCacheStats() {
-        return {
-            size: this.cache.size,
-            entries: Array.from(this.cache.keys())
-        };
+    async getCacheStats() {
+        return this.cache.getStats();
     }
 }
 
-module.exports = PriceOracle;
\ No newline at end of file
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+        ? (sorted[middle - 1] + sorted[middle]) / 2
+        : sorted[middle];
+}
+
+// Minimal Chainlink AggregatorV3 ABI
+const AGGREGATOR_ABI = [
+    'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+    'function decimals() external view returns (uint8)'
+];
+
+// Minimal Uniswap V3 pool ABI for TWAP reads
+const POOL_ABI = [
+    'function observe(uint32[] secondsAgos) external view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
+    'function token0() external view returns (address)',
+    'function token1() external view returns (address)'
+];
+
+module.exports = PriceOracle;
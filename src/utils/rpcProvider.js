@@ -0,0 +1,205 @@
+/**
+ * Failover RPC Provider
+ * Spreads JSON-RPC requests over several endpoints for one chain, retrying with
+ * backoff and rotating away from endpoints that error out or rate-limit
+ */
+
+const { ethers } = require('ethers');
+
+const DEFAULT_OPTIONS = {
+    timeout: 10000,
+    maxAttempts: 4,
+    backoffMs: 250,
+    maxBackoffMs: 4000,
+    // An endpoint sits out this long after being rate-limited or failing repeatedly
+    cooldownMs: 30000,
+    failureThreshold: 3
+};
+
+// Weight of the newest sample in the per-endpoint latency average
+const LATENCY_SMOOTHING = 0.2;
+
+const RETRYABLE_CODES = [
+    ethers.errors.SERVER_ERROR,
+    ethers.errors.TIMEOUT,
+    ethers.errors.NETWORK_ERROR
+];
+
+const RATE_LIMIT_PATTERN = /rate limit|too many requests|exceeded.*(capacity|quota)|daily request count/i;
+
+class FailoverProvider extends ethers.providers.StaticJsonRpcProvider {
+    /**
+     * @param {string[]} urls - RPC endpoints, in order of preference
+     * @param {ethers.providers.Networkish} network
+     * @param {Object} [options] - { timeout, maxAttempts, backoffMs, maxBackoffMs, cooldownMs, failureThreshold }
+     */
+    constructor(urls, network, options = {}) {
+        if (!urls || urls.length === 0) {
+            throw new Error('FailoverProvider needs at least one RPC URL');
+        }
+        super(urls[0], network);
+
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.endpoints = urls.map(url => ({
+            url,
+            provider: new ethers.providers.StaticJsonRpcProvider({
+                url,
+                timeout: this.options.timeout,
+                // Rate limits are handled here by rotating, not by ethers stalling on the same endpoint
+                throttleCallback: async () => false
+            }, network),
+            requests: 0,
+            errors: 0,
+            rateLimits: 0,
+            consecutiveFailures: 0,
+            latencyMs: null,
+            lastError: null,
+            lastErrorAt: null,
+            cooldownUntil: 0
+        }));
+    }
+
+    /**
+     * Send a JSON-RPC request, moving on to the next endpoint when one fails.
+     * Errors the node returns for the request itself (reverts, bad params) are not retried.
+     */
+    async send(method, params) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt < this.options.maxAttempts; attempt++) {
+            const endpoint = this.pickEndpoint();
+
+            // Back off once every endpoint has had a go
+            if (attempt >= this.endpoints.length) {
+                await sleep(this.getBackoff(attempt - this.endpoints.length));
+            }
+
+            const started = Date.now();
+            endpoint.requests++;
+            try {
+                const result = await endpoint.provider.send(method, params);
+                this.recordSuccess(endpoint, Date.now() - started);
+                return result;
+            } catch (error) {
+                if (!isRetryable(error)) {
+                    this.recordSuccess(endpoint, Date.now() - started);
+                    throw error;
+                }
+                this.recordFailure(endpoint, error);
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Preferred endpoint that is not cooling down: fewest recent failures, then lowest latency.
+     * When every endpoint is cooling down, the one that recovers first is used.
+     */
+    pickEndpoint() {
+        const now = Date.now();
+        const available = this.endpoints.filter(endpoint => endpoint.cooldownUntil <= now);
+
+        if (available.length === 0) {
+            return this.endpoints.reduce((best, endpoint) =>
+                endpoint.cooldownUntil < best.cooldownUntil ? endpoint : best);
+        }
+
+        return available.reduce((best, endpoint) => {
+            if (endpoint.consecutiveFailures !== best.consecutiveFailures) {
+                return endpoint.consecutiveFailures < best.consecutiveFailures ? endpoint : best;
+            }
+            // Untried endpoints keep their configured order
+            if (endpoint.latencyMs === null || best.latencyMs === null) {
+                return best;
+            }
+            return endpoint.latencyMs < best.latencyMs ? endpoint : best;
+        });
+    }
+
+    recordSuccess(endpoint, latencyMs) {
+        endpoint.consecutiveFailures = 0;
+        endpoint.cooldownUntil = 0;
+        endpoint.latencyMs = endpoint.latencyMs === null
+            ? latencyMs
+            : Math.round(endpoint.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+    }
+
+    recordFailure(endpoint, error) {
+        const rateLimited = isRateLimit(error);
+        endpoint.errors++;
+        endpoint.consecutiveFailures++;
+        endpoint.lastError = rateLimited ? 'rate limited' : (error.reason || error.message);
+        endpoint.lastErrorAt = new Date().toISOString();
+
+        if (rateLimited) {
+            endpoint.rateLimits++;
+        }
+        if (rateLimited || endpoint.consecutiveFailures >= this.options.failureThreshold) {
+            endpoint.cooldownUntil = Date.now() + this.options.cooldownMs;
+        }
+    }
+
+    getBackoff(retry) {
+        return Math.min(this.options.backoffMs * Math.pow(2, retry), this.options.maxBackoffMs);
+    }
+
+    /**
+     * Per-endpoint health; URLs are reduced to their host so API keys are not exposed
+     */
+    getHealth() {
+        const now = Date.now();
+        const endpoints = this.endpoints.map(endpoint => ({
+            url: redactUrl(endpoint.url),
+            healthy: endpoint.cooldownUntil <= now && endpoint.consecutiveFailures < this.options.failureThreshold,
+            latencyMs: endpoint.latencyMs,
+            requests: endpoint.requests,
+            errors: endpoint.errors,
+            rateLimits: endpoint.rateLimits,
+            consecutiveFailures: endpoint.consecutiveFailures,
+            lastError: endpoint.lastError,
+            lastErrorAt: endpoint.lastErrorAt,
+            cooldownUntil: endpoint.cooldownUntil > now ? new Date(endpoint.cooldownUntil).toISOString() : null
+        }));
+
+        return {
+            healthy: endpoints.some(endpoint => endpoint.healthy),
+            endpoints
+        };
+    }
+}
+
+function isRateLimit(error) {
+    const rpcError = error.error || {};
+    return error.status === 429 ||
+        rpcError.code === 429 ||
+        RATE_LIMIT_PATTERN.test(error.body || '') ||
+        RATE_LIMIT_PATTERN.test(rpcError.message || '');
+}
+
+function isRetryable(error) {
+    if (isRateLimit(error)) {
+        return true;
+    }
+    // A JSON-RPC error body means the endpoint answered; another endpoint would answer the same
+    if (error.error && typeof error.error.code === 'number') {
+        return false;
+    }
+    return RETRYABLE_CODES.includes(error.code);
+}
+
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.pathname.length > 1 ? `${parsed.origin}/***` : parsed.origin;
+    } catch (error) {
+        return 'invalid url';
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = FailoverProvider;
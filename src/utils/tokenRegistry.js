@@ -0,0 +1,211 @@
+/**
+ * Token Registry
+ * Indexes Uniswap-style token lists by address and symbol per chain,
+ * resolving CoinGecko ids and falling back to on-chain metadata for unlisted tokens
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const ContractUtils = require('./contract');
+const ChainRegistry = require('./chains');
+const Cache = require('./cache');
+
+const DEFAULT_LIST_DIR = path.join(__dirname, '..', 'data', 'tokenlists');
+
+// Priceable assets that are not a token on any chain
+const ASSET_PRICE_IDS = {
+    BTC: 'bitcoin'
+};
+
+const registries = new WeakMap();
+
+class TokenRegistry {
+    /**
+     * @param {ethers.providers.Provider} [provider] - used to look up tokens missing from the lists
+     * @param {number} [chainId]
+     * @param {Object} [options] - { listPaths, cache } listPaths replaces the bundled token lists
+     */
+    constructor(provider = null, chainId = 1, options = {}) {
+        this.provider = provider;
+        this.chainId = chainId;
+        this.contractUtils = provider ? new ContractUtils(provider) : null;
+        this.byAddress = new Map();
+        this.bySymbol = new Map();
+        this.pending = new Map();
+        this.cache = options.cache || Cache.getDefault();
+
+        const listPaths = options.listPaths || TokenRegistry.getDefaultListPaths();
+        for (const listPath of listPaths) {
+            this.loadTokenListFile(listPath);
+        }
+    }
+
+    /**
+     * Shared registry per provider and chain so every module resolves tokens the same way
+     */
+    static forProvider(provider, chainId = 1) {
+        if (!provider) {
+            return new TokenRegistry(null, chainId);
+        }
+        if (!registries.has(provider)) {
+            registries.set(provider, new Map());
+        }
+        const byChain = registries.get(provider);
+        if (!byChain.has(chainId)) {
+            byChain.set(chainId, new TokenRegistry(provider, chainId));
+        }
+        return byChain.get(chainId);
+    }
+
+    /**
+     * Bundled token lists plus any extra paths in TOKEN_LISTS (comma separated)
+     */
+    static getDefaultListPaths() {
+        const bundled = fs.readdirSync(DEFAULT_LIST_DIR)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.join(DEFAULT_LIST_DIR, file));
+        const extra = (process.env.TOKEN_LISTS || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean);
+        return [...bundled, ...extra];
+    }
+
+    /**
+     * Load a token list JSON file
+     */
+    loadTokenListFile(listPath) {
+        try {
+            this.loadTokenList(JSON.parse(fs.readFileSync(listPath, 'utf8')));
+        } catch (error) {
+            console.error(`Error loading token list ${listPath}:`, error.message);
+        }
+    }
+
+    /**
+     * Index a parsed token list; tokens for other chains are ignored.
+     * Earlier lists win when two lists disagree on an address or symbol.
+     */
+    loadTokenList(list) {
+        for (const entry of list.tokens || []) {
+            if (entry.chainId !== this.chainId) {
+                continue;
+            }
+
+            const token = {
+                address: ethers.utils.getAddress(entry.address),
+                symbol: entry.symbol,
+                name: entry.name,
+                decimals: entry.decimals,
+                logoURI: entry.logoURI,
+                coingeckoId: entry.extensions ? entry.extensions.coingeckoId : undefined,
+                source: list.name
+            };
+            this.addToken(token);
+        }
+    }
+
+    addToken(token) {
+        const addressKey = token.address.toLowerCase();
+        if (this.byAddress.has(addressKey)) {
+            return this.byAddress.get(addressKey);
+        }
+
+        this.byAddress.set(addressKey, token);
+        const symbolKey = token.symbol.toUpperCase();
+        if (!this.bySymbol.has(symbolKey)) {
+            this.bySymbol.set(symbolKey, token);
+        }
+        return token;
+    }
+
+    /**
+     * Listed token by address, or null
+     */
+    getByAddress(address) {
+        return this.byAddress.get(address.toLowerCase()) || null;
+    }
+
+    /**
+     * Listed token by symbol (case-insensitive), or null.
+     * The chain's native token resolves with an address of null.
+     */
+    getBySymbol(symbol) {
+        const key = symbol.toUpperCase();
+        const native = this.getNativeToken();
+        if (native && native.symbol === key) {
+            return native;
+        }
+        return this.bySymbol.get(key) || null;
+    }
+
+    /**
+     * Resolve a token by address, reading metadata on-chain for unlisted tokens.
+     * On-chain metadata goes through the shared cache, so it survives restarts with Redis.
+     */
+    async getToken(address) {
+        const listed = this.getByAddress(address);
+        if (listed) {
+            return listed;
+        }
+        if (!this.contractUtils) {
+            throw new Error(`Token ${address} is not listed and no provider is configured`);
+        }
+
+        // Share the in-flight lookup so concurrent callers make one set of calls
+        const key = address.toLowerCase();
+        if (!this.pending.has(key)) {
+            this.pending.set(key, this.cache.wrap('token', `${this.chainId}:${key}`,
+                () => this.contractUtils.getTokenInfo(address))
+                .then(info => this.addToken({
+                    address: ethers.utils.getAddress(address),
+                    symbol: info.symbol,
+                    name: info.name,
+                    decimals: info.decimals,
+                    source: 'onchain'
+                }))
+                .finally(() => this.pending.delete(key)));
+        }
+        return this.pending.get(key);
+    }
+
+    /**
+     * All listed tokens for this chain
+     */
+    getTokens() {
+        return Array.from(this.byAddress.values()).filter(token => token.source !== 'onchain');
+    }
+
+    /**
+     * CoinGecko id for a symbol or address. Unknown symbols are returned lowercased
+     * so callers can still pass a raw CoinGecko id.
+     */
+    getPriceId(symbolOrAddress) {
+        const token = ethers.utils.isAddress(symbolOrAddress)
+            ? this.getByAddress(symbolOrAddress)
+            : this.getBySymbol(symbolOrAddress);
+
+        if (token && token.coingeckoId) {
+            return token.coingeckoId;
+        }
+
+        // Native tokens of other chains (e.g. BNB looked up from an Ethereum registry)
+        const key = symbolOrAddress.toUpperCase();
+        const nativeChain = ChainRegistry.getChains().find(chain => chain.nativeToken.symbol === key);
+        if (nativeChain) {
+            return nativeChain.nativeToken.coingeckoId;
+        }
+        return ASSET_PRICE_IDS[key] || symbolOrAddress.toLowerCase();
+    }
+
+    /**
+     * Native gas token for this chain, or null. Token lists never include it since it is not an ERC20.
+     */
+    getNativeToken() {
+        const chain = ChainRegistry.getChain(this.chainId);
+        return chain ? { ...chain.nativeToken, address: null } : null;
+    }
+}
+
+module.exports = TokenRegistry;
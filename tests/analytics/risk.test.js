@@ -0,0 +1,182 @@
+const RiskAnalytics = require('../../src/analytics/risk');
+
+const DAY = 86400000;
+const START = Date.UTC(2024, 0, 1);
+
+// Daily closes at UTC midnight from a start price and a list of daily returns
+function seriesFromReturns(returns, start = 100) {
+    const prices = [{ timestamp: new Date(START), price: start }];
+    returns.forEach((r, i) => {
+        prices.push({ timestamp: new Date(START + (i + 1) * DAY), price: prices[i].price * (1 + r) });
+    });
+    return prices;
+}
+
+function flatSeries(days, price = 1) {
+    return seriesFromReturns(new Array(days).fill(0), price);
+}
+
+function stubOracle(histories) {
+    return {
+        requested: [],
+        async getHistoricalPrices(symbol, days) {
+            this.requested.push({ symbol, days });
+            if (!histories[symbol]) {
+                throw new Error(`No history for ${symbol}`);
+            }
+            return histories[symbol];
+        }
+    };
+}
+
+function holding(symbol, value, key = `token:${symbol}`) {
+    return { key, symbol, amount: value, price: 1, value };
+}
+
+describe('RiskAnalytics volatility and correlation', () => {
+    // ETH and BTC move in opposite directions by 10% every day
+    const oracle = stubOracle({
+        ETH: seriesFromReturns([0.1, -0.1, 0.1, -0.1]),
+        BTC: seriesFromReturns([-0.1, 0.1, -0.1, 0.1])
+    });
+
+    test('reports sample volatility, daily and annualized, in percent', async () => {
+        const risk = new RiskAnalytics(oracle);
+        const result = await risk.analyze([holding('ETH', 1000), holding('BTC', 500)], { days: 30 });
+
+        expect(result.observations).toBe(4);
+        const eth = result.assets.find(asset => asset.symbol === 'ETH');
+        expect(eth.meanDailyReturn).toBeCloseTo(0, 10);
+        expect(eth.dailyVolatility).toBeCloseTo(11.547005, 5);
+        expect(eth.annualizedVolatility).toBeCloseTo(220.605228, 5);
+    });
+
+    test('builds the correlation matrix over the common days', async () => {
+        const risk = new RiskAnalytics(oracle);
+        const result = await risk.analyze([holding('ETH', 1000), holding('BTC', 500)], { days: 30 });
+
+        expect(result.correlation.symbols).toEqual(['ETH', 'BTC']);
+        expect(result.correlation.matrix[0][0]).toBeCloseTo(1, 10);
+        expect(result.correlation.matrix[0][1]).toBeCloseTo(-1, 10);
+        expect(result.correlation.matrix[1][0]).toBeCloseTo(-1, 10);
+    });
+
+    test('has no correlation for an asset whose price never moves', async () => {
+        const risk = new RiskAnalytics(stubOracle({ ETH: seriesFromReturns([0.1, -0.1, 0.1]), USDC: flatSeries(3) }));
+        const result = await risk.analyze([holding('ETH', 1000), holding('USDC', 1000)]);
+
+        expect(result.correlation.matrix[0][1]).toBeNull();
+        expect(result.assets[1].dailyVolatility).toBe(0);
+    });
+
+    test('uses the last price of each UTC day and only the days every asset has', async () => {
+        const eth = seriesFromReturns([0.1, 0.1, 0.1]);
+        // A later quote on day 0 replaces its midnight price as the close
+        eth.splice(1, 0, { timestamp: new Date(START + DAY - 1000), price: 500 });
+        const btc = seriesFromReturns([0, 0, 0]).filter((_, i) => i !== 2);
+
+        const risk = new RiskAnalytics(stubOracle({ ETH: eth, BTC: btc }));
+        const result = await risk.analyze([holding('ETH', 1000), holding('BTC', 1000)]);
+
+        // Days 0, 1 and 3 are common; day 0's close is the 500 quote
+        expect(result.observations).toBe(2);
+        const ethResult = result.assets.find(asset => asset.symbol === 'ETH');
+        expect(ethResult.meanDailyReturn).toBeCloseTo(((110 / 500 - 1) + (133.1 / 110 - 1)) / 2 * 100, 6);
+    });
+});
+
+describe('RiskAnalytics value at risk', () => {
+    test('computes historical and parametric VaR and CVaR of a hedged pair', async () => {
+        const risk = new RiskAnalytics(stubOracle({
+            ETH: seriesFromReturns([0.1, -0.1, 0.1, -0.1]),
+            BTC: seriesFromReturns([-0.1, 0.1, -0.1, 0.1])
+        }));
+        const result = await risk.analyze([holding('ETH', 1000), holding('BTC', 500)]);
+        const { valueAtRisk } = result;
+
+        // Daily PnL alternates +50 / -50; a 4-day sample leaves a one-day tail at both levels
+        expect(valueAtRisk.horizonDays).toBe(1);
+        expect(valueAtRisk[95].historical.var).toBeCloseTo(50, 8);
+        expect(valueAtRisk[95].historical.cvar).toBeCloseTo(50, 8);
+        expect(valueAtRisk[95].historical.varPercent).toBeCloseTo(50 / 1500 * 100, 8);
+        expect(valueAtRisk[99].historical.var).toBeCloseTo(50, 8);
+
+        // sigma = sqrt(1000² v + 500² v - 2·1000·500 v) = 500·sqrt(0.04 / 3)
+        expect(valueAtRisk.dailyVolatilityUsd).toBeCloseTo(57.735027, 5);
+        expect(valueAtRisk[95].parametric.var).toBeCloseTo(94.965667, 5);
+        expect(valueAtRisk[95].parametric.cvar).toBeCloseTo(119.090785, 5);
+        expect(valueAtRisk[99].parametric.var).toBeCloseTo(134.311759, 5);
+        expect(valueAtRisk[99].parametric.cvar).toBeCloseTo(153.876205, 5);
+    });
+
+    test('takes the tail of the sorted daily PnL at each confidence level', async () => {
+        const returns = [-0.05, -0.03];
+        for (let i = 0; i < 38; i++) {
+            returns.push(i % 2 === 0 ? 0.01 : -0.01);
+        }
+        const risk = new RiskAnalytics(stubOracle({ ETH: seriesFromReturns(returns) }));
+        const result = await risk.analyze([holding('ETH', 10000)], { days: 60 });
+        const { valueAtRisk } = result;
+
+        // 40 returns: the 95% tail is the two worst days, the 99% tail the worst one
+        expect(result.observations).toBe(40);
+        expect(valueAtRisk[95].historical.var).toBeCloseTo(300, 6);
+        expect(valueAtRisk[95].historical.cvar).toBeCloseTo(400, 6);
+        expect(valueAtRisk[95].historical.varPercent).toBeCloseTo(3, 8);
+        expect(valueAtRisk[95].historical.cvarPercent).toBeCloseTo(4, 8);
+        expect(valueAtRisk[99].historical.var).toBeCloseTo(500, 6);
+        expect(valueAtRisk[99].historical.cvar).toBeCloseTo(500, 6);
+    });
+
+    test('is left out with fewer than two observations', async () => {
+        const risk = new RiskAnalytics(stubOracle({ ETH: seriesFromReturns([0.1]) }));
+        const result = await risk.analyze([holding('ETH', 1000)]);
+
+        expect(result.observations).toBe(1);
+        expect(result.valueAtRisk).toBeNull();
+    });
+});
+
+describe('RiskAnalytics concentration and exclusions', () => {
+    const holdings = [
+        holding('ETH', 400),
+        holding('eth', 200, 'aave:ETH'),
+        holding('USDC', 300),
+        holding('UNI-V2', 100, 'lp:0xpair'),
+        holding('DAI', -200, 'aave:debt:DAI')
+    ];
+
+    test('computes HHI, effective holdings and stablecoin share over long holdings', async () => {
+        const risk = new RiskAnalytics(stubOracle({ ETH: flatSeries(5, 2000), USDC: flatSeries(5), DAI: flatSeries(5) }));
+        const result = await risk.analyze(holdings);
+
+        // Weights 0.6 / 0.3 / 0.1 of the 1000 long value
+        expect(result.concentration.hhi).toBeCloseTo(0.46, 10);
+        expect(result.concentration.effectiveHoldings).toBeCloseTo(1 / 0.46, 10);
+        expect(result.concentration.largest).toEqual({ symbol: 'ETH', weight: expect.closeTo(60, 10) });
+        expect(result.stablecoinShare).toBeCloseTo(30, 10);
+    });
+
+    test('excludes LP positions and assets without a price history', async () => {
+        const oracle = stubOracle({ ETH: flatSeries(5, 2000), USDC: flatSeries(5) });
+        const risk = new RiskAnalytics(oracle);
+        const result = await risk.analyze(holdings, { days: 1000 });
+
+        expect(result.lookbackDays).toBe(365);
+        expect(oracle.requested.map(request => request.symbol)).toEqual(['ETH', 'USDC', 'DAI']);
+        expect(result.excluded).toEqual([
+            { symbol: 'UNI-V2', value: 100, reason: 'LP position has no single price series' },
+            { symbol: 'DAI', value: -200, reason: 'No price history' }
+        ]);
+        // ETH 600 and USDC 300 of 1200 gross value
+        expect(result.coverage).toBeCloseTo(75, 10);
+    });
+
+    test('has no concentration without long holdings', async () => {
+        const risk = new RiskAnalytics(stubOracle({}));
+        const result = await risk.analyze([]);
+
+        expect(result.concentration).toEqual({ hhi: null, effectiveHoldings: null, largest: null });
+        expect(result.stablecoinShare).toBe(0);
+    });
+});
@@ -0,0 +1,209 @@
+const StressTest = require('../../src/analytics/stressTest');
+
+function collateral(protocol, symbol, balance, price, liquidationThreshold, extra = {}) {
+    return { protocol, symbol, type: 'collateral', balance, price, liquidationThreshold, ...extra };
+}
+
+function debt(protocol, symbol, balance, price, extra = {}) {
+    return { protocol, symbol, type: 'debt', balance, price, ...extra };
+}
+
+function scenario(shocks) {
+    return [{ name: 'test', shocks }];
+}
+
+describe('StressTest liquidation prices', () => {
+    // 10 ETH at 2000 with an 80% threshold against 15,000 USDC: health factor 16,000 / 15,000
+    const positions = [
+        collateral('aave-v3', 'ETH', 10, 2000, 0.8),
+        debt('aave-v3', 'USDC', 15000, 1)
+    ];
+
+    test('finds the collateral price that drops the health factor to 1', () => {
+        const { current } = new StressTest().simulate(positions, []);
+        const [account] = current.accounts;
+
+        expect(current.healthFactor).toBeCloseTo(16000 / 15000, 10);
+        expect(current.liquidatable).toBe(false);
+
+        const eth = account.liquidationPrices.find(asset => asset.symbol === 'ETH');
+        expect(eth.role).toBe('collateral');
+        expect(eth.liquidationPrice).toBeCloseTo(1875, 8);
+        expect(eth.changePercent).toBeCloseTo(-6.25, 8);
+        expect(eth.direction).toBe('down');
+    });
+
+    test('finds the price a borrowed asset has to rise to', () => {
+        const { current } = new StressTest().simulate(positions, []);
+        const usdc = current.accounts[0].liquidationPrices.find(asset => asset.symbol === 'USDC');
+
+        expect(usdc.role).toBe('debt');
+        expect(usdc.liquidationPrice).toBeCloseTo(16000 / 15000, 10);
+        expect(usdc.direction).toBe('up');
+    });
+
+    test('has no liquidation price for an asset that cannot liquidate the account alone', () => {
+        const { current } = new StressTest().simulate([
+            collateral('aave-v3', 'USDC', 20000, 1, 0.8),
+            collateral('aave-v3', 'LINK', 100, 10, 0.5),
+            debt('aave-v3', 'DAI', 10000, 1)
+        ], []);
+        const link = current.accounts[0].liquidationPrices.find(asset => asset.symbol === 'LINK');
+
+        expect(link.liquidationPrice).toBeNull();
+        expect(link.changePercent).toBeNull();
+        expect(link.direction).toBeNull();
+    });
+
+    test('reports no liquidation prices without debt', () => {
+        const { current } = new StressTest().simulate([collateral('aave-v3', 'ETH', 1, 2000, 0.8)], []);
+
+        expect(current.healthFactor).toBe(Infinity);
+        expect(current.accounts[0].liquidationPrices).toEqual([]);
+    });
+});
+
+describe('StressTest Aave V3 liquidations', () => {
+    const positions = [
+        collateral('aave-v3', 'ETH', 10, 2000, 0.8),
+        debt('aave-v3', 'USDC', 15000, 1)
+    ];
+
+    test('closes half the debt while the health factor is at or above 0.95', () => {
+        // ETH at 1800: health factor 14,400 / 15,000 = 0.96
+        const [result] = new StressTest().simulate(positions, scenario({ ETH: -10 })).scenarios;
+
+        expect(result.healthFactor).toBeCloseTo(0.96, 10);
+        expect(result.liquidatable).toBe(true);
+        expect(result.debtToCover).toBeCloseTo(7500, 8);
+        expect(result.collateralSeized).toBeCloseTo(7500 * 1.05, 8);
+    });
+
+    test('closes all the debt once the health factor is below 0.95', () => {
+        // ETH at 1760: health factor 14,080 / 15,000 ≈ 0.939
+        const [result] = new StressTest().simulate(positions, scenario({ ETH: -12 })).scenarios;
+
+        expect(result.healthFactor).toBeLessThan(0.95);
+        expect(result.debtToCover).toBeCloseTo(15000, 8);
+        expect(result.collateralSeized).toBeCloseTo(15000 * 1.05, 8);
+    });
+
+    test('caps the repayment at the collateral the bonus leaves to seize', () => {
+        // ETH at 1500: 15,000 collateral covers only 15,000 / 1.05 of debt
+        const [result] = new StressTest().simulate(positions, scenario({ ETH: -25 })).scenarios;
+
+        expect(result.debtToCover).toBeCloseTo(15000 / 1.05, 8);
+        expect(result.collateralSeized).toBeCloseTo(15000, 8);
+    });
+
+    test('uses each position\'s own liquidation bonus, weighted by collateral value', () => {
+        const [result] = new StressTest().simulate([
+            collateral('aave-v3', 'ETH', 5, 2000, 0.8, { liquidationBonus: 1.1 }),
+            collateral('aave-v3', 'WBTC', 0.2, 50000, 0.8),
+            debt('aave-v3', 'USDC', 15000, 1)
+        ], scenario({ ETH: -10, BTC: -10 })).scenarios;
+
+        // 9,000 of ETH at 10% and 9,000 of WBTC at the default 5%
+        expect(result.healthFactor).toBeCloseTo(0.96, 10);
+        expect(result.debtToCover).toBeCloseTo(7500, 8);
+        expect(result.collateralSeized).toBeCloseTo(7500 * 1.075, 8);
+    });
+});
+
+describe('StressTest Compound V2 liquidations', () => {
+    const positions = [
+        collateral('compound-v2', 'ETH', 10, 2000, 0.75),
+        debt('compound-v2', 'DAI', 14000, 1)
+    ];
+
+    test('closes half the debt with an 8% bonus whatever the health factor', () => {
+        // ETH at 1600: health factor 12,000 / 14,000 ≈ 0.857
+        const [result] = new StressTest().simulate(positions, scenario({ ETH: -20 })).scenarios;
+
+        expect(result.healthFactor).toBeCloseTo(12000 / 14000, 10);
+        expect(result.debtToCover).toBeCloseTo(7000, 8);
+        expect(result.collateralSeized).toBeCloseTo(7000 * 1.08, 8);
+    });
+
+    test('is not liquidatable at a health factor of 1 or more', () => {
+        const [result] = new StressTest().simulate(positions, scenario({ ETH: -5 })).scenarios;
+
+        expect(result.liquidatable).toBe(false);
+        expect(result.debtToCover).toBe(0);
+        expect(result.collateralSeized).toBe(0);
+    });
+});
+
+describe('StressTest Compound V3 absorb', () => {
+    const positions = [
+        collateral('compound-v3', 'ETH', 5, 2000, 0.83, { market: 'cUSDCv3' }),
+        debt('compound-v3', 'USDC', 8000, 1, { market: 'cUSDCv3' }),
+        collateral('compound-v3', 'WBTC', 1, 60000, 0.8, { market: 'cWETHv3' }),
+        debt('compound-v3', 'WETH', 10, 2000, { market: 'cWETHv3' })
+    ];
+
+    test('absorbs the whole account of each underwater market separately', () => {
+        const [result] = new StressTest().simulate(positions, scenario({ ETH: -10 })).scenarios;
+        const usdcMarket = result.accounts.find(account => account.market === 'cUSDCv3');
+        const wethMarket = result.accounts.find(account => account.market === 'cWETHv3');
+
+        // ETH at 1800: 7,470 weighted against 8,000 in the USDC market
+        expect(result.accounts).toHaveLength(2);
+        expect(usdcMarket.liquidatable).toBe(true);
+        expect(usdcMarket.debtToCover).toBeCloseTo(8000, 8);
+        expect(usdcMarket.collateralSeized).toBeCloseTo(9000, 8);
+        // The WETH debt got cheaper
+        expect(wethMarket.liquidatable).toBe(false);
+        expect(wethMarket.healthFactor).toBeCloseTo(48000 / 18000, 10);
+
+        expect(result.liquidatable).toBe(true);
+        expect(result.debtToCover).toBeCloseTo(8000, 8);
+        expect(result.healthFactor).toBeCloseTo((7470 + 48000) / 26000, 10);
+    });
+
+    test('finds the rise of a borrowed base asset that liquidates its market', () => {
+        const { current } = new StressTest().simulate(positions, []);
+        const weth = current.accounts
+            .find(account => account.market === 'cWETHv3')
+            .liquidationPrices.find(asset => asset.symbol === 'WETH');
+
+        expect(weth.liquidationPrice).toBeCloseTo(4800, 8);
+        expect(weth.changePercent).toBeCloseTo(140, 8);
+        expect(weth.direction).toBe('up');
+    });
+});
+
+describe('StressTest scenarios', () => {
+    test('applies the most specific shock to each symbol', () => {
+        const [result] = new StressTest().simulate([
+            collateral('aave-v3', 'stETH', 1, 2000, 0.8),
+            collateral('aave-v3', 'USDT', 1000, 1, 0.8),
+            collateral('aave-v3', 'LINK', 100, 10, 0.5),
+            collateral('aave-v3', 'WBTC', 1, 60000, 0.7),
+            debt('aave-v3', 'DAI', 100, 1)
+        ], scenario({ eth: -10, stablecoins: -5, '*': -50, WBTC: -20, BTC: -30, dai: 0 })).scenarios;
+        const prices = Object.fromEntries(result.accounts[0].liquidationPrices.map(asset => [asset.symbol, asset.price]));
+
+        expect(prices.stETH).toBeCloseTo(1800, 10);
+        expect(prices.USDT).toBeCloseTo(0.95, 10);
+        expect(prices.LINK).toBeCloseTo(5, 10);
+        expect(prices.WBTC).toBeCloseTo(48000, 10);
+        expect(prices.DAI).toBe(1);
+    });
+
+    test('names unnamed scenarios after their shocks and runs the defaults without any', () => {
+        const positions = [collateral('aave-v3', 'ETH', 1, 2000, 0.8), debt('aave-v3', 'USDC', 1000, 1)];
+        const stressTest = new StressTest();
+
+        expect(stressTest.simulate(positions, [{ shocks: { ETH: -20, BTC: 5 } }]).scenarios[0].name)
+            .toBe('ETH -20%, BTC +5%');
+        expect(stressTest.simulate(positions).scenarios.map(result => result.name)).toEqual([
+            'ETH -10%',
+            'ETH -30%',
+            'ETH -50%',
+            'Stablecoins depeg 5%',
+            'ETH -30%, stablecoins depeg 5%',
+            'Crypto crash'
+        ]);
+    });
+});
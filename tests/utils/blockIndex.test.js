@@ -0,0 +1,99 @@
+const BlockIndex = require('../../src/utils/blockIndex');
+
+const LATEST = 100000;
+const GENESIS_TIME = 1000000;
+
+// Irregular block times: 12s slots, a missed slot every 7th block and a long stall every 10k blocks
+function timestampOf(number) {
+    return GENESIS_TIME + number * 12 + Math.floor(number / 7) * 12 + Math.floor(number / 10000) * 3600;
+}
+
+function stubProvider() {
+    const provider = {
+        calls: 0,
+        async getBlock(tag) {
+            provider.calls++;
+            const number = tag === 'latest' ? LATEST : tag;
+            if (number < 0 || number > LATEST) {
+                return null;
+            }
+            return { number, timestamp: timestampOf(number) };
+        }
+    };
+    return provider;
+}
+
+// Last block at or before a timestamp, by brute force over the synthetic curve
+function expectedBlock(timestamp) {
+    let low = 0;
+    let high = LATEST;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (timestampOf(mid) <= timestamp) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+describe('BlockIndex', () => {
+    test('resolves a block\'s exact timestamp to that block', async () => {
+        const index = new BlockIndex(stubProvider());
+        for (const number of [1, 6, 7, 9999, 10000, 54321, LATEST - 1]) {
+            await expect(index.getBlockFromTimestamp(timestampOf(number))).resolves.toBe(number);
+        }
+    });
+
+    test('resolves timestamps between blocks to the earlier block', async () => {
+        const index = new BlockIndex(stubProvider());
+        for (const number of [0, 6, 9999, 20000, 77777]) {
+            const between = timestampOf(number) + 1;
+            expect(between).toBeLessThan(timestampOf(number + 1));
+            await expect(index.getBlockFromTimestamp(between)).resolves.toBe(number);
+        }
+        // Inside a stall, the block before it
+        await expect(index.getBlockFromTimestamp(timestampOf(30000) - 60)).resolves.toBe(29999);
+    });
+
+    test('clamps timestamps before genesis and after the latest block', async () => {
+        const index = new BlockIndex(stubProvider());
+        await expect(index.getBlockFromTimestamp(GENESIS_TIME - 1)).resolves.toBe(0);
+        await expect(index.getBlockFromTimestamp(0)).resolves.toBe(0);
+        await expect(index.getBlockFromTimestamp(timestampOf(LATEST))).resolves.toBe(LATEST);
+        await expect(index.getBlockFromTimestamp(timestampOf(LATEST) + 86400)).resolves.toBe(LATEST);
+    });
+
+    test('rejects a non-numeric timestamp', async () => {
+        const index = new BlockIndex(stubProvider());
+        await expect(index.getBlockFromTimestamp('soon')).rejects.toThrow(/Invalid timestamp/);
+    });
+
+    test('matches brute force across the curve and reuses anchors', async () => {
+        const provider = stubProvider();
+        const index = new BlockIndex(provider);
+        for (let timestamp = GENESIS_TIME; timestamp < timestampOf(LATEST); timestamp += 123457) {
+            await expect(index.getBlockFromTimestamp(timestamp)).resolves.toBe(expectedBlock(timestamp));
+        }
+
+        const calls = provider.calls;
+        await index.getBlockFromTimestamp(GENESIS_TIME + 123457);
+        expect(provider.calls).toBe(calls);
+        await expect(index.getBlockTimestamp(expectedBlock(GENESIS_TIME + 123457))).resolves
+            .toBe(timestampOf(expectedBlock(GENESIS_TIME + 123457)));
+        expect(provider.calls).toBe(calls);
+    });
+
+    test('keeps anchors sorted and evicts interior ones past the cap', () => {
+        const index = new BlockIndex(stubProvider());
+        for (let number = 10000; number >= 0; number--) {
+            index.addAnchor({ number, timestamp: timestampOf(number) });
+        }
+
+        expect(index.anchors).toHaveLength(10000);
+        expect(index.anchors[0].number).toBe(0);
+        expect(index.anchors[index.anchors.length - 1].number).toBe(10000);
+        expect(index.anchors.every((anchor, i) => i === 0 || anchor.number > index.anchors[i - 1].number)).toBe(true);
+    });
+});
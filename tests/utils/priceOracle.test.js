@@ -0,0 +1,165 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const PriceOracle = require('../../src/utils/priceOracle');
+
+// Passes every lookup straight through to the fetcher
+const noCache = { wrap: (type, key, fetcher) => fetcher(), get: async () => undefined, set: async () => {} };
+
+function createOracle(quotes = {}) {
+    const oracle = new PriceOracle(null, { cache: noCache });
+    oracle.fetchPriceFromSource = async source => {
+        const quote = quotes[source];
+        if (quote instanceof Error) {
+            throw quote;
+        }
+        return { source, ...quote };
+    };
+    return oracle;
+}
+
+describe('PriceOracle aggregation', () => {
+    test('takes the median and scores confidence by how tightly sources agree', async () => {
+        const oracle = createOracle({ coingecko: { usd: 2010 }, chainlink: { usd: 2000 }, uniswap: { usd: 1990 } });
+        const price = await oracle.fetchAggregatedPrice('ETH', ['coingecko', 'chainlink', 'uniswap']);
+
+        expect(price.usd).toBe(2000);
+        expect(price.deviation).toBeCloseTo(0.5);
+        // All three agree, with a 0.5% spread against a 2% threshold
+        expect(price.confidence).toBeCloseTo(0.75);
+        expect(price.sources.map(source => source.flagged)).toEqual([false, false, false]);
+    });
+
+    test('flags a deviating source and leaves it out of the agreeing share', async () => {
+        const oracle = createOracle({ coingecko: { usd: 2000 }, chainlink: { usd: 2000 }, uniswap: { usd: 2100 } });
+        const price = await oracle.fetchAggregatedPrice('ETH', ['coingecko', 'chainlink', 'uniswap']);
+
+        expect(price.usd).toBe(2000);
+        expect(price.sources[2]).toMatchObject({ source: 'uniswap', flagged: true });
+        expect(price.sources[2].deviation).toBeCloseTo(5);
+        expect(price.confidence).toBeCloseTo(2 / 3);
+    });
+
+    test('counts failed sources against confidence', async () => {
+        const oracle = createOracle({ coingecko: { usd: 2000 }, chainlink: new Error('stale feed'), uniswap: { usd: 2000 } });
+        const price = await oracle.fetchAggregatedPrice('ETH', ['coingecko', 'chainlink', 'uniswap']);
+
+        expect(price.usd).toBe(2000);
+        expect(price.sources[1]).toEqual({ source: 'chainlink', error: 'stale feed' });
+        expect(price.confidence).toBeCloseTo(2 / 3);
+    });
+
+    test('drops zero and negative quotes as errors', async () => {
+        const oracle = createOracle({ coingecko: { usd: 0 }, chainlink: { usd: -5 }, uniswap: { usd: 2000 } });
+        const price = await oracle.fetchAggregatedPrice('ETH', ['coingecko', 'chainlink', 'uniswap']);
+
+        expect(price.usd).toBe(2000);
+        expect(price.sources[0]).toEqual({ source: 'coingecko', error: 'Invalid price 0' });
+        expect(price.sources[1]).toEqual({ source: 'chainlink', error: 'Invalid price -5' });
+        expect(price.confidence).toBeCloseTo(1 / 3);
+    });
+
+    test('throws when no source prices the token', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const oracle = createOracle({ coingecko: { usd: 0 }, chainlink: new Error('no feed') });
+
+        await expect(oracle.fetchAggregatedPrice('FOO', ['coingecko', 'chainlink']))
+            .rejects.toThrow('No price for FOO (coingecko: Invalid price 0; chainlink: no feed)');
+        console.error.mockRestore();
+    });
+
+    test('keeps the assumed USDC quote out of the median and confidence', async () => {
+        const oracle = createOracle({
+            coingecko: { usd: 0.97 },
+            chainlink: { usd: 0.96 },
+            uniswap: { usd: 1, assumed: true }
+        });
+        const price = await oracle.fetchAggregatedPrice('USDC', ['coingecko', 'chainlink', 'uniswap']);
+
+        expect(price.usd).toBeCloseTo(0.965);
+        // The assumed $1 deviates by more than the threshold but is not an independent source
+        expect(price.sources[2]).toMatchObject({ assumed: true, flagged: true });
+        expect(price.confidence).toBeCloseTo(1 - (0.005 / 0.965 * 100) / 2);
+    });
+
+    test('falls back to the assumed quote with zero confidence when nothing else priced', async () => {
+        const oracle = createOracle({ coingecko: new Error('rate limited'), uniswap: { usd: 1, assumed: true } });
+        const price = await oracle.fetchAggregatedPrice('USDC', ['coingecko', 'uniswap']);
+
+        expect(price.usd).toBe(1);
+        expect(price.confidence).toBe(0);
+    });
+});
+
+describe('PriceOracle.getTokenPriceByAddress', () => {
+    afterEach(() => axios.get.mockReset());
+
+    test('prices a contract on the chain\'s CoinGecko platform', async () => {
+        const address = '0xABCDEF0000000000000000000000000000000001';
+        axios.get.mockResolvedValue({ data: { [address.toLowerCase()]: { usd: 2.5 } } });
+
+        const oracle = new PriceOracle(null, { cache: noCache });
+        await expect(oracle.getTokenPriceByAddress(137, address)).resolves.toBe(2.5);
+        expect(axios.get).toHaveBeenCalledWith(
+            'https://api.coingecko.com/api/v3/simple/token_price/polygon-pos',
+            { params: { contract_addresses: address.toLowerCase(), vs_currencies: 'usd' } }
+        );
+    });
+
+    test('fetches every uncached contract in one request', async () => {
+        const cached = { 'polygon-pos:0x0000000000000000000000000000000000000001': 3 };
+        const cache = {
+            get: async (type, key) => cached[key],
+            set: async (type, key, value) => { cached[key] = value; }
+        };
+        axios.get.mockResolvedValue({ data: { '0x0000000000000000000000000000000000000002': { usd: 4 } } });
+
+        const oracle = new PriceOracle(null, { cache });
+        const prices = await oracle.getTokenPricesByAddress('polygon', [
+            '0x0000000000000000000000000000000000000001',
+            '0x0000000000000000000000000000000000000002',
+            '0x0000000000000000000000000000000000000003'
+        ]);
+
+        expect(prices).toEqual({
+            '0x0000000000000000000000000000000000000001': 3,
+            '0x0000000000000000000000000000000000000002': 4,
+            '0x0000000000000000000000000000000000000003': null
+        });
+        expect(axios.get).toHaveBeenCalledTimes(1);
+        expect(axios.get.mock.calls[0][1].params.contract_addresses)
+            .toBe('0x0000000000000000000000000000000000000002,0x0000000000000000000000000000000000000003');
+        expect(cached['polygon-pos:0x0000000000000000000000000000000000000003']).toBeNull();
+    });
+
+    test('throws when CoinGecko has no price or the chain is unknown', async () => {
+        axios.get.mockResolvedValue({ data: {} });
+        const oracle = new PriceOracle(null, { cache: noCache });
+
+        await expect(oracle.getTokenPriceByAddress('ethereum', '0x0000000000000000000000000000000000000001'))
+            .rejects.toThrow(/no price/);
+        await expect(oracle.getTokenPriceByAddress(999999, '0x0000000000000000000000000000000000000001'))
+            .rejects.toThrow(/No CoinGecko platform/);
+    });
+});
+
+describe('PriceOracle.getHistoricalPricesByAddress', () => {
+    afterEach(() => axios.get.mockReset());
+
+    test('reads the contract\'s market chart on the chain\'s CoinGecko platform', async () => {
+        const address = '0x000000000000000000000000000000000000ABcD';
+        axios.get.mockResolvedValue({ data: { prices: [[1700000000000, 1.5], [1700086400000, 1.6]] } });
+
+        const oracle = new PriceOracle(null, { cache: noCache });
+        const prices = await oracle.getHistoricalPricesByAddress('arbitrum', address, 2);
+
+        expect(prices).toEqual([
+            { timestamp: new Date(1700000000000), price: 1.5 },
+            { timestamp: new Date(1700086400000), price: 1.6 }
+        ]);
+        expect(axios.get).toHaveBeenCalledWith(
+            `https://api.coingecko.com/api/v3/coins/arbitrum-one/contract/${address.toLowerCase()}/market_chart`,
+            { params: { vs_currency: 'usd', days: 2 } }
+        );
+    });
+});
@@ -0,0 +1,162 @@
+const http = require('http');
+const FailoverProvider = require('../../src/utils/rpcProvider');
+
+const NETWORK = { name: 'test', chainId: 1 };
+const RESULT = '0x1bc16d674ec80000';
+
+// Order in which the stand-in endpoints were hit
+let hits = [];
+let servers = [];
+
+/**
+ * Start a stand-in RPC endpoint; `respond(req, res, body)` answers each request
+ */
+async function startEndpoint(name, respond) {
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            hits.push(name);
+            respond(req, res, JSON.parse(data));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+function reply(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+const ok = name => startEndpoint(name, (req, res, body) =>
+    reply(res, 200, { jsonrpc: '2.0', id: body.id, result: RESULT }));
+const rateLimited = name => startEndpoint(name, (req, res) =>
+    reply(res, 429, { error: 'Too Many Requests' }));
+const serverError = name => startEndpoint(name, (req, res) =>
+    reply(res, 500, { error: 'Internal Server Error' }));
+// Never answers, so the request times out
+const hanging = name => startEndpoint(name, () => {});
+const reverting = name => startEndpoint(name, (req, res, body) =>
+    reply(res, 200, { jsonrpc: '2.0', id: body.id, error: { code: 3, message: 'execution reverted' } }));
+
+function getBalance(provider) {
+    return provider.send('eth_getBalance', ['0x0000000000000000000000000000000000000001', 'latest']);
+}
+
+beforeEach(() => {
+    hits = [];
+    servers = [];
+});
+
+afterEach(async () => {
+    await Promise.all(servers.map(server => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    }));
+});
+
+describe('FailoverProvider', () => {
+    test('fails over past rate-limited, erroring and timed-out endpoints in order', async () => {
+        const urls = [
+            await rateLimited('429'),
+            await serverError('500'),
+            await hanging('timeout'),
+            await ok('ok')
+        ];
+        const provider = new FailoverProvider(urls, NETWORK, { timeout: 200, maxAttempts: 4 });
+
+        await expect(getBalance(provider)).resolves.toBe(RESULT);
+        expect(hits).toEqual(['429', '500', 'timeout', 'ok']);
+    });
+
+    test('does not retry JSON-RPC errors', async () => {
+        const urls = [await reverting('revert'), await ok('ok')];
+        const provider = new FailoverProvider(urls, NETWORK);
+
+        await expect(getBalance(provider)).rejects.toThrow(/execution reverted/);
+        expect(hits).toEqual(['revert']);
+        expect(provider.getHealth().endpoints[0]).toMatchObject({ errors: 0, consecutiveFailures: 0, healthy: true });
+    });
+
+    test('rate-limited endpoints sit out their cooldown', async () => {
+        const urls = [await rateLimited('429'), await ok('ok')];
+        const provider = new FailoverProvider(urls, NETWORK, { cooldownMs: 200 });
+
+        await getBalance(provider);
+        await getBalance(provider);
+        expect(hits).toEqual(['429', 'ok', 'ok']);
+        expect(provider.getHealth().endpoints[0].cooldownUntil).not.toBeNull();
+
+        await new Promise(resolve => setTimeout(resolve, 250));
+        expect(provider.getHealth().endpoints[0]).toMatchObject({ healthy: true, cooldownUntil: null });
+    });
+
+    test('cools an endpoint down after failureThreshold consecutive failures', async () => {
+        const provider = new FailoverProvider([await serverError('500')], NETWORK, {
+            maxAttempts: 1,
+            failureThreshold: 2
+        });
+
+        await expect(getBalance(provider)).rejects.toMatchObject({ status: 500 });
+        expect(provider.getHealth().endpoints[0]).toMatchObject({ consecutiveFailures: 1, healthy: true, cooldownUntil: null });
+
+        await expect(getBalance(provider)).rejects.toMatchObject({ status: 500 });
+        expect(provider.getHealth().endpoints[0]).toMatchObject({ consecutiveFailures: 2, healthy: false });
+        expect(provider.getHealth().endpoints[0].cooldownUntil).not.toBeNull();
+    });
+
+    test('backs off exponentially once every endpoint has been tried', async () => {
+        const urls = [await serverError('500')];
+        const provider = new FailoverProvider(urls, NETWORK, { maxAttempts: 3, backoffMs: 100, failureThreshold: 10 });
+
+        const started = Date.now();
+        await expect(getBalance(provider)).rejects.toMatchObject({ status: 500 });
+        // No wait before the first attempt, then 100ms and 200ms
+        expect(Date.now() - started).toBeGreaterThanOrEqual(300);
+        expect(hits).toEqual(['500', '500', '500']);
+        expect(provider.getBackoff(10)).toBe(4000);
+    });
+
+    test('getHealth reports per-endpoint state with redacted URLs', async () => {
+        const limited = await rateLimited('429');
+        const working = await ok('ok');
+        const provider = new FailoverProvider([`${limited}/v3/secret-key`, working], NETWORK, { timeout: 1000 });
+
+        await getBalance(provider);
+        const health = provider.getHealth();
+
+        expect(health.healthy).toBe(true);
+        expect(health.endpoints[0]).toMatchObject({
+            url: `${limited}/***`,
+            healthy: false,
+            requests: 1,
+            errors: 1,
+            rateLimits: 1,
+            consecutiveFailures: 1,
+            lastError: 'rate limited',
+            latencyMs: null
+        });
+        expect(health.endpoints[0].lastErrorAt).not.toBeNull();
+        expect(health.endpoints[1]).toMatchObject({
+            url: working,
+            healthy: true,
+            requests: 1,
+            errors: 0,
+            rateLimits: 0,
+            consecutiveFailures: 0,
+            lastError: null,
+            cooldownUntil: null
+        });
+        expect(health.endpoints[1].latencyMs).toEqual(expect.any(Number));
+        expect(JSON.stringify(health)).not.toContain('secret-key');
+    });
+
+    test('reports unhealthy when every endpoint is cooling down', async () => {
+        const provider = new FailoverProvider([await rateLimited('429')], NETWORK, { maxAttempts: 1 });
+
+        await expect(getBalance(provider)).rejects.toMatchObject({ status: 429 });
+        expect(provider.getHealth().healthy).toBe(false);
+    });
+});